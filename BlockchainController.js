@@ -4,97 +4,377 @@
  * This class expose the endpoints that the client applications will use to interact with the 
  * Blockchain dataset
  */
+const bodyParser = require("body-parser");
+const stream = require("stream");
+const ChainFile = require("./src/chainFile.js");
+const AdminAuth = require("./src/adminAuth.js");
+const RateLimit = require("./src/rateLimiter.js");
+const Errors = require("./src/errors.js");
+
+// Throw a ValidationError listing the `fields` missing from the request body
+function requireFields(body, fields) {
+    let missing = fields.filter(field => !body[field]);
+    if(missing.length > 0) {
+        throw new Errors.ValidationError("Check the Body Parameter!", missing.map(field => ({field: field, message: `${field} is required`})));
+    }
+}
+
+// Read the positive integer query parameters `params`, throw a ValidationError if one of them isn't
+function readIntegers(query, params) {
+    let values = {};
+    let errors = [];
+    for (const param of params) {
+        if(query[param] !== undefined) {
+            values[param] = Number(query[param]);
+            if(!Number.isInteger(values[param]) || values[param] < 0) {
+                errors.push({field: param, message: `The ${param} parameter should be a positive integer`});
+            }
+        }
+    }
+    if(errors.length > 0) {
+        throw new Errors.ValidationError("Check the Parameters!", errors);
+    }
+    return values;
+}
+
 class BlockchainController {
 
-    //The constructor receive the instance of the express.js app and the Blockchain class
-    constructor(app, blockchainObj) {
+    //The constructor receive the instance of the express.js app, the Blockchain class
+    //and the options `{adminToken, rateLimiter}`, the token required by the administration endpoints
+    //and the RateLimiter throttling the requests that add blocks (no limit by default)
+    constructor(app, blockchainObj, options = {}) {
         this.app = app;
         this.blockchain = blockchainObj;
+        this.adminToken = options.adminToken || null;
+        this.rateLimiter = options.rateLimiter || new RateLimit.RateLimiter();
+        // Each registry has its own counters
+        this.rateScope = this.blockchain.name || "default";
         // All the endpoints methods needs to be called in the constructor to initialize the route.
         this.getBlockByHeight();
         this.requestOwnership();
+        this.getOwnershipRequests();
         this.submitStar();
+        this.submitStars();
+        this.getStarProof();
+        this.searchStars();
         this.getBlockByHash();
         this.getStarsByOwner();
         this.getHelp();
+        this.validateChain();
+        this.requestTransfer();
+        this.transferStar();
+        this.getStarOwnership();
+        this.requestAmendment();
+        this.amendStar();
+        this.getStarHistory();
+        this.getChainInfo();
+        this.getLatestBlock();
+        this.getBlocks();
+        this.exportChain();
+        this.importChain();
+    }
+
+    // Endpoint that searches the stars by position and story (GET Endpoint)
+    // /stars/search?raMin=&raMax=&decMin=&decMax= (box), ?ra=&dec=&radius= (cone), ?q= (words of the story), &limit=
+    searchStars() {
+        this.app.get("/stars/search", async (req, res) => {
+            try {
+                let result = await this.blockchain.searchStars(req.query);
+                return res.status(200).json(result);
+            } catch (error) {
+                return Errors.sendError(res, error);
+            }
+        });
     }
 
     // Enpoint to Get a Block by Height (GET Endpoint)
     getBlockByHeight() {
         this.app.get("/block/height/:height", async (req, res) => {
-            if(req.params.height) {
-                const height = parseInt(req.params.height);
+            try {
+                const height = readIntegers(req.params, ["height"]).height;
                 let block = await this.blockchain.getBlockByHeight(height);
-                if(block){
-                    return res.status(200).json(block);
-                } else {
-                    return res.status(404).send("Block Not Found!");
+                if(!block){
+                    throw new Errors.NotFoundError(`Block Not Found! There is no block at height ${height}`);
                 }
-            } else {
-                return res.status(404).send("Block Not Found! Review the Parameters!");
+                return res.status(200).json(block);
+            } catch (error) {
+                return Errors.sendError(res, error);
             }
-            
         });
     }
 
     // Endpoint that allows user to request Ownership of a Wallet address (POST Endpoint)
     requestOwnership() {
-        this.app.post("/requestValidation", async (req, res) => {
-            if(req.body.address) {
-                const address = req.body.address;
-                const message = await this.blockchain.requestMessageOwnershipVerification(address);
-                if(message){
-                    return res.status(200).json(message);
-                } else {
-                    return res.status(500).send("An error happened!");
+        this.app.post("/requestValidation", this.rateLimiter.limitRequests(this.rateScope), async (req, res) => {
+            try {
+                requireFields(req.body, ["address"]);
+                const message = await this.blockchain.requestMessageOwnershipVerification(req.body.address);
+                return res.status(200).json(message);
+            } catch (error) {
+                return Errors.sendError(res, error);
+            }
+        });
+    }
+
+    // Endpoint that returns the messages requested by a wallet address that can still be used, with their remaining validity (GET Endpoint)
+    getOwnershipRequests() {
+        this.app.get("/requestValidation/:address", async (req, res) => {
+            try {
+                const pending = await this.blockchain.getPendingVerifications(req.params.address);
+                if(pending.length === 0){
+                    throw new Errors.NotFoundError("No pending validation request for this address!");
                 }
-            } else {
-                return res.status(500).send("Check the Body Parameter!");
+                return res.status(200).json(pending);
+            } catch (error) {
+                return Errors.sendError(res, error);
             }
         });
     }
 
     // Endpoint that allow Submit a Star, yu need first to `requestOwnership` to have the message (POST endpoint)
     submitStar() {
-        this.app.post("/submitstar", async (req, res) => {
-            if(req.body.address && req.body.message && req.body.signature && req.body.star) {
+        this.app.post("/submitstar", this.rateLimiter.limitRequests(this.rateScope), this.rateLimiter.limitStars(this.rateScope), async (req, res) => {
+            try {
+                requireFields(req.body, ["address", "message", "signature", "star"]);
                 const address = req.body.address;
                 const message = req.body.message;
                 const signature = req.body.signature;
                 const star = req.body.star;
-                try {
-                    let block = await this.blockchain.submitStar(address, message, signature, star);
-                    if(block){
-                        return res.status(200).json(block);
-                    } else {
-                        return res.status(500).send("An error happened!");
-                    }
-                } catch (error) {
-                    return res.status(500).send(error);
-                }
-            } else {
-                return res.status(500).send("Check the Body Parameter!");
+                let block = await this.blockchain.submitStar(address, message, signature, star);
+                return res.status(200).json(block);
+            } catch (error) {
+                return Errors.sendError(res, error);
             }
         });
     }
 
-    
+    // Endpoint that registers several stars in one block: `{stars: [{address, message, signature, star}]}` (POST endpoint)
+    // Each registration needs its own message from `requestOwnership`.
+    submitStars() {
+        this.app.post("/submitstars", this.rateLimiter.limitRequests(this.rateScope), this.rateLimiter.limitStars(this.rateScope), async (req, res) => {
+            try {
+                let block = await this.blockchain.submitStars(req.body.stars);
+                return res.status(200).json(block);
+            } catch (error) {
+                return Errors.sendError(res, error);
+            }
+        });
+    }
+
+    // This endpoint returns the Merkle proof that a star registered with `/submitstars` is in its block (GET endpoint)
+    getStarProof() {
+        this.app.get("/star/:id/proof", async (req, res) => {
+            try {
+                let proof = await this.blockchain.getStarProof(req.params.id);
+                return res.status(200).json(proof);
+            } catch (error) {
+                return Errors.sendError(res, error);
+            }
+        });
+    }
 
     // This endpoint allows you to retrieve the block by hash (GET endpoint)
     getBlockByHash() {
         this.app.get("/block/hash/:hash", async (req, res) => {
-            if(req.params.hash) {
+            try {
                 const hash = req.params.hash;
                 let block = await this.blockchain.getBlockByHash(hash);
-                if(block){
-                    return res.status(200).json(block);
-                } else {
-                    return res.status(404).send("Block Not Found!");
+                if(!block){
+                    throw new Errors.NotFoundError(`Block Not Found! There is no block with the hash ${hash}`);
                 }
-            } else {
-                return res.status(404).send("Block Not Found! Review the Parameters!");
+                return res.status(200).json(block);
+            } catch (error) {
+                return Errors.sendError(res, error);
+            }
+        });
+    }
+
+    // Endpoint that returns the message the owner of a star has to sign to transfer it (POST Endpoint)
+    requestTransfer() {
+        this.app.post("/requestTransferValidation", this.rateLimiter.limitRequests(this.rateScope), async (req, res) => {
+            try {
+                requireFields(req.body, ["address", "star", "to"]);
+                const message = await this.blockchain.requestTransferVerification(req.body.address, req.body.star, req.body.to);
+                return res.status(200).json(message);
+            } catch (error) {
+                return Errors.sendError(res, error);
+            }
+        });
+    }
+
+    // Endpoint that transfers a star to a new owner, you need first to `requestTransfer` to have the message (POST endpoint)
+    transferStar() {
+        this.app.post("/transfer", this.rateLimiter.limitRequests(this.rateScope), async (req, res) => {
+            try {
+                requireFields(req.body, ["address", "message", "signature"]);
+                let block = await this.blockchain.transferStar(req.body.address, req.body.message, req.body.signature);
+                return res.status(200).json(block);
+            } catch (error) {
+                return Errors.sendError(res, error);
+            }
+        });
+    }
+
+    // This endpoint returns the owners of a star, from the registration to the current owner (GET endpoint)
+    getStarOwnership() {
+        this.app.get("/star/:hash/ownership", async (req, res) => {
+            try {
+                let history = await this.blockchain.getStarOwnershipHistory(req.params.hash);
+                if(!history){
+                    throw new Errors.NotFoundError(`Star Not Found! There is no star with the id ${req.params.hash}`);
+                }
+                return res.status(200).json(history);
+            } catch (error) {
+                return Errors.sendError(res, error);
+            }
+        });
+    }
+
+    // Endpoint that returns the message the owner of a star signs to replace its story: `{address, star, story}` (POST endpoint)
+    requestAmendment() {
+        this.app.post("/requestAmendmentValidation", this.rateLimiter.limitRequests(this.rateScope), async (req, res) => {
+            try {
+                requireFields(req.body, ["address", "star", "story"]);
+                const message = await this.blockchain.requestAmendmentVerification(req.body.address, req.body.star, req.body.story);
+                return res.status(200).json(message);
+            } catch (error) {
+                return Errors.sendError(res, error);
+            }
+        });
+    }
+
+    // Endpoint that replaces the story of a star, you need first to `requestAmendment` to have the message (POST endpoint)
+    amendStar() {
+        this.app.post("/amend", this.rateLimiter.limitRequests(this.rateScope), async (req, res) => {
+            try {
+                requireFields(req.body, ["address", "message", "signature", "story"]);
+                let block = await this.blockchain.amendStar(req.body.address, req.body.message, req.body.signature, req.body.story);
+                return res.status(200).json(block);
+            } catch (error) {
+                return Errors.sendError(res, error);
+            }
+        });
+    }
+
+    // This endpoint returns every version of the story of a star with its signature (GET endpoint)
+    getStarHistory() {
+        this.app.get("/star/:hash/history", async (req, res) => {
+            try {
+                let history = await this.blockchain.getStarStoryHistory(req.params.hash);
+                if(!history){
+                    throw new Errors.NotFoundError(`Star Not Found! There is no star with the id ${req.params.hash}`);
+                }
+                return res.status(200).json(history);
+            } catch (error) {
+                return Errors.sendError(res, error);
+            }
+        });
+    }
+
+    // This endpoint returns the height, the tip and genesis hashes and the validity of the chain (GET endpoint)
+    getChainInfo() {
+        this.app.get("/chain/info", async (req, res) => {
+            try {
+                let info = await this.blockchain.getChainInfo();
+                return res.status(200).json(info);
+            } catch (error) {
+                return Errors.sendError(res, error);
+            }
+        });
+    }
+
+    // This endpoint returns the last block of the chain (GET endpoint)
+    getLatestBlock() {
+        this.app.get("/chain/latest", async (req, res) => {
+            try {
+                let block = await this.blockchain.getLatestBlock();
+                if(!block){
+                    throw new Errors.NotFoundError("Block Not Found! The chain is empty");
+                }
+                return res.status(200).json(block);
+            } catch (error) {
+                return Errors.sendError(res, error);
+            }
+        });
+    }
+
+    // This endpoint returns a page of blocks with their decoded body: /blocks?from=&to=&limit=&order= (GET endpoint)
+    // The response contains `next`, the `from` of the next page, and `nextUrl` to request it.
+    getBlocks() {
+        this.app.get("/blocks", async (req, res) => {
+            try {
+                let options = readIntegers(req.query, ["from", "to", "limit"]);
+                if(req.query.order !== undefined) {
+                    options.order = req.query.order;
+                }
+                let page = await this.blockchain.getBlocks(options);
+                page.nextUrl = null;
+                if(page.next !== null) {
+                    let query = Object.assign({}, req.query, {from: page.next});
+                    page.nextUrl = `${req.baseUrl}${req.path}?${new URLSearchParams(query).toString()}`;
+                }
+                return res.status(200).json(page);
+            } catch (error) {
+                return Errors.sendError(res, error);
+            }
+        });
+    }
+
+    // This endpoint streams the whole chain: /chain/export?format=json|ndjson (GET endpoint)
+    // The file starts with the height and the tip hash of the chain so a truncated copy is detected by the import.
+    exportChain() {
+        this.app.get("/chain/export", async (req, res) => {
+            let format = req.query.format || "json";
+            if(format !== "json" && format !== "ndjson") {
+                return Errors.sendError(res, new Errors.ValidationError("The format parameter should be json or ndjson",
+                    [{field: "format", message: "format should be json or ndjson"}]));
+            }
+            let blocks = await this.blockchain.exportChain();
+            res.status(200);
+            res.set("Content-Type", format === "json" ? "application/json" : "application/x-ndjson");
+            res.set("Content-Disposition", `attachment; filename="chain.${format}"`);
+            // The pipeline waits for the client to read before writing the next blocks and stops if it disconnects
+            stream.pipeline(stream.Readable.from(ChainFile.serialize(blocks, format)), res, (error) => {
+                if(error && error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+                    console.error("Unable to export the chain:", error.message);
+                }
+            });
+        });
+    }
+
+    // This endpoint replaces the chain by an exported chain, sent as JSON or NDJSON (Content-Type: application/x-ndjson),
+    // once every block hash and link has been checked: /chain/import?dryRun=1 only checks the file (POST endpoint)
+    // It requires the `Authorization: Bearer <ADMIN_TOKEN>` header and is disabled when no ADMIN_TOKEN is set.
+    importChain() {
+        // The chain files can be larger than the other bodies, the application doesn't parse the body of this endpoint
+        let ndjson = bodyParser.text({type: "application/x-ndjson", limit: "100mb"});
+        let json = bodyParser.json({limit: "100mb"});
+        this.app.post("/chain/import", AdminAuth.requireAdminToken(this.adminToken), ndjson, json, async (req, res) => {
+            let format = req.is("application/x-ndjson") ? "ndjson" : "json";
+            let dryRun = req.query.dryRun === "1" || req.query.dryRun === "true";
+            try {
+                let report = await this.blockchain.importChain(req.body, {format: format, dryRun: dryRun});
+                return res.status(200).json({imported: !dryRun, report: report});
+            } catch (error) {
+                return Errors.sendError(res, error);
+            }
+        });
+    }
+
+    // This endpoint returns the validation report of the chain, `from` and `to` query parameters limit the heights validated (GET endpoint)
+    validateChain() {
+        this.app.get("/validate", async (req, res) => {
+            try {
+                let options = readIntegers(req.query, ["from", "to"]);
+                if(options.from !== undefined && options.to !== undefined && options.from > options.to) {
+                    throw new Errors.ValidationError("The from parameter should be lower or equal to the to parameter",
+                        [{field: "from", message: "from should be lower or equal to to"}]);
+                }
+                let report = await this.blockchain.validateChain(options);
+                return res.status(200).json(report);
+            } catch (error) {
+                return Errors.sendError(res, error);
             }
-            
         });
     }
 
@@ -110,10 +390,13 @@ class BlockchainController {
            //console.log(validateshit);
            html += "<p>Results from validateChain()</p>" ;
 
-           if(validateBlockchain == true){
+           if(validateBlockchain.valid){
             html += "The blockchain is valid";
            }else{
             html += "There was a problem validating the blockchain.. :(";
+            validateBlockchain.errors.forEach(error => {
+                html += `<br>Block ${error.height}: ${error.type}`;
+            });
            }
           
 
@@ -126,25 +409,15 @@ class BlockchainController {
     // This endpoint allows you to request the list of Stars registered by an owner
     getStarsByOwner() {
         this.app.get("/blocks/:address", async (req, res) => {
-            if(req.params.address) {
-                const address = req.params.address;
-                try {
-                    let stars = await this.blockchain.getStarsByWalletAddress(address);
-                    if(stars){
-                        return res.status(200).json(stars);
-                    } else {
-                        return res.status(404).send("Block Not Found!");
-                    }
-                } catch (error) {
-                    return res.status(500).send("An error happened!");
-                }
-            } else {
-                return res.status(500).send("Block Not Found! Review the Parameters!");
+            try {
+                let stars = await this.blockchain.getStarsByWalletAddress(req.params.address);
+                return res.status(200).json(stars);
+            } catch (error) {
+                return Errors.sendError(res, error);
             }
-            
         });
     }
 
 }
 
-module.exports = (app, blockchainObj) => { return new BlockchainController(app, blockchainObj);}
\ No newline at end of file
+module.exports = (app, blockchainObj, options) => { return new BlockchainController(app, blockchainObj, options);}
\ No newline at end of file
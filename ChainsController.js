@@ -0,0 +1,57 @@
+/**
+ *          ChainsController
+ *
+ * This class expose the endpoints that list and create the named registries, each registry
+ * is then served under `/chains/:name/...` with the same endpoints as the root (see `src/registry.js`)
+ */
+const AdminAuth = require("./src/adminAuth.js");
+const Errors = require("./src/errors.js");
+
+class ChainsController {
+
+    //The constructor receive the instance of the express.js app, the ChainRegistry class
+    //and the options `{adminToken}`, the token required to create a registry
+    constructor(app, registry, options = {}) {
+        this.app = app;
+        this.registry = registry;
+        this.adminToken = options.adminToken || null;
+        // All the endpoints methods needs to be called in the constructor to initialize the route.
+        this.getChains();
+        this.createChain();
+        this.routeChain();
+    }
+
+    // Endpoint that lists the registries with their configuration and height (GET Endpoint)
+    getChains() {
+        this.app.get("/chains", async (req, res) => {
+            return res.status(200).json(this.registry.list());
+        });
+    }
+
+    // Endpoint that creates a registry `{name, validityWindow, difficulty, storagePath}` (POST Endpoint)
+    // It requires the `Authorization: Bearer <ADMIN_TOKEN>` header.
+    createChain() {
+        this.app.post("/chains", AdminAuth.requireAdminToken(this.adminToken), async (req, res) => {
+            try {
+                let created = await this.registry.create(req.body);
+                return res.status(201).json(created.config);
+            } catch (error) {
+                return Errors.sendError(res, error);
+            }
+        });
+    }
+
+    // Send the requests /chains/:name/... to the endpoints of the registry
+    routeChain() {
+        this.app.use("/chains/:name", (req, res, next) => {
+            let chain = this.registry.get(req.params.name);
+            if(!chain) {
+                return Errors.sendError(res, new Errors.NotFoundError(`Registry ${req.params.name} Not Found!`));
+            }
+            chain.router(req, res, next);
+        });
+    }
+
+}
+
+module.exports = (app, registry, options) => { return new ChainsController(app, registry, options);}
@@ -0,0 +1,39 @@
+/**
+ *          EventController
+ *
+ * This class expose the Server-Sent Events endpoint that pushes the new blocks to the
+ * client applications (see `src/eventStream.js`)
+ */
+const Errors = require("./src/errors.js");
+
+class EventController {
+
+    //The constructor receive the instance of the express.js app and the EventStream class
+    constructor(app, events) {
+        this.app = app;
+        this.events = events;
+        // All the endpoints methods needs to be called in the constructor to initialize the route.
+        this.getEvents();
+    }
+
+    // Endpoint that streams the events of the chain: /events?address=&fromHeight= (GET Endpoint)
+    // `Last-Event-ID` (the height of the last block received) resumes after that block.
+    getEvents() {
+        this.app.get("/events", async (req, res) => {
+            let options = {address: req.query.address};
+            if(req.query.fromHeight !== undefined) {
+                options.fromHeight = Number(req.query.fromHeight);
+            } else if(req.get("Last-Event-ID") !== undefined) {
+                options.fromHeight = Number(req.get("Last-Event-ID")) + 1;
+            }
+            if(options.fromHeight !== undefined && (!Number.isInteger(options.fromHeight) || options.fromHeight < 0)) {
+                return Errors.sendError(res, new Errors.ValidationError("The fromHeight parameter should be a positive integer",
+                    [{field: "fromHeight", message: "fromHeight should be a positive integer"}]));
+            }
+            await this.events.subscribe(req, res, options);
+        });
+    }
+
+}
+
+module.exports = (app, events) => { return new EventController(app, events);}
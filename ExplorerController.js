@@ -0,0 +1,123 @@
+/**
+ *          ExplorerController
+ *
+ * This class expose the pages of the block explorer, a web interface to browse the chain
+ * and register a star from the browser (see `src/explorerViews.js`)
+ */
+const Errors = require("./src/errors.js");
+const Views = require("./src/explorerViews.js");
+
+// Number of blocks on the home page and on a page of the block list
+const PAGE_SIZE = 20;
+
+class ExplorerController {
+
+    //The constructor receive the instance of the express.js app and the Blockchain class
+    constructor(app, blockchainObj) {
+        this.app = app;
+        this.blockchain = blockchainObj;
+        // All the endpoints methods needs to be called in the constructor to initialize the route.
+        this.getOverview();
+        this.getBlockList();
+        this.getBlock();
+        this.getOwner();
+        this.getRegister();
+        this.search();
+    }
+
+    // Home page of the explorer: /explorer (GET Endpoint)
+    getOverview() {
+        this.app.get("/explorer", async (req, res) => {
+            try {
+                let info = await this.blockchain.getChainInfo();
+                let latest = await this.blockchain.getBlocks({order: "desc", limit: 10});
+                return res.status(200).send(Views.overview(req.baseUrl, info, latest));
+            } catch (error) {
+                return this.sendErrorPage(req, res, error);
+            }
+        });
+    }
+
+    // Blocks from the tip of the chain: /explorer/blocks?from=<height> (GET Endpoint)
+    getBlockList() {
+        this.app.get("/explorer/blocks", async (req, res) => {
+            try {
+                let from = req.query.from === undefined ? undefined : Number(req.query.from);
+                if(from !== undefined && (!Number.isInteger(from) || from < 0)) {
+                    throw new Errors.ValidationError("The from parameter should be a block height", [{field: "from", message: "from should be a positive integer"}]);
+                }
+                let page = await this.blockchain.getBlocks({order: "desc", from: from, limit: PAGE_SIZE});
+                return res.status(200).send(Views.blockList(req.baseUrl, page, this.blockchain.height));
+            } catch (error) {
+                return this.sendErrorPage(req, res, error);
+            }
+        });
+    }
+
+    // Block detail: /explorer/block/<height|hash> (GET Endpoint)
+    getBlock() {
+        this.app.get("/explorer/block/:id", async (req, res) => {
+            try {
+                let id = req.params.id;
+                let block = /^\d+$/.test(id)
+                    ? await this.blockchain.getBlockByHeight(Number(id))
+                    : await this.blockchain.getBlockByHash(id);
+                if(!block) {
+                    throw new Errors.NotFoundError(`There is no block ${id}`);
+                }
+                let data = null;
+                try {
+                    data = await block.getBData();
+                } catch (error) {
+                    // A tampered body is shown as undecodable
+                }
+                return res.status(200).send(Views.blockDetail(req.baseUrl, block, data, this.blockchain.height));
+            } catch (error) {
+                return this.sendErrorPage(req, res, error);
+            }
+        });
+    }
+
+    // Stars of an owner: /explorer/owner/<address> (GET Endpoint)
+    getOwner() {
+        this.app.get("/explorer/owner/:address", async (req, res) => {
+            try {
+                let stars = await this.blockchain.getStarsByWalletAddress(req.params.address);
+                return res.status(200).send(Views.owner(req.baseUrl, req.params.address, stars));
+            } catch (error) {
+                return this.sendErrorPage(req, res, error);
+            }
+        });
+    }
+
+    // Guided form to register a star: /explorer/register (GET Endpoint)
+    getRegister() {
+        this.app.get("/explorer/register", (req, res) => {
+            return res.status(200).send(Views.register(req.baseUrl));
+        });
+    }
+
+    // Search box: a height or a block hash opens the block, anything else the owner page: /explorer/search?q= (GET Endpoint)
+    search() {
+        this.app.get("/explorer/search", (req, res) => {
+            let query = String(req.query.q || "").trim();
+            if(query === "") {
+                return res.redirect(`${req.baseUrl}/explorer`);
+            }
+            let page = /^\d+$/.test(query) || /^[0-9a-f]{64}$/i.test(query) ? "block" : "owner";
+            return res.redirect(`${req.baseUrl}/explorer/${page}/${encodeURIComponent(query)}`);
+        });
+    }
+
+    // Answer with an HTML error page, the internal errors are logged and their message isn't shown
+    sendErrorPage(req, res, error) {
+        if(!(error instanceof Errors.BlockchainError)) {
+            console.error("Internal error:", error);
+            error = new Errors.InternalError("An internal error happened");
+        }
+        return res.status(error.status).send(Views.errorPage(req.baseUrl, error.status, error.message));
+    }
+
+}
+
+module.exports = (app, blockchainObj) => { return new ExplorerController(app, blockchainObj);}
@@ -0,0 +1,52 @@
+/**
+ *          HealthController
+ *
+ * This class expose the health endpoints used by the container orchestrators and the monitoring
+ * (see `src/integrityMonitor.js`)
+ */
+const Errors = require("./src/errors.js");
+
+class HealthController {
+
+    //The constructor receive the instance of the express.js app, the Blockchain class and its IntegrityMonitor
+    constructor(app, blockchain, monitor) {
+        this.app = app;
+        this.blockchain = blockchain;
+        this.monitor = monitor;
+        // All the endpoints methods needs to be called in the constructor to initialize the route.
+        this.getLiveness();
+        this.getHealth();
+    }
+
+    // Endpoint answering as long as the server runs: /health/live (GET Endpoint)
+    getLiveness() {
+        this.app.get("/health/live", (req, res) => {
+            return res.status(200).json({status: "alive", uptime: Math.round(process.uptime())});
+        });
+    }
+
+    // Endpoint with the integrity of the chain: /health (GET Endpoint)
+    // Answers 503 when the last check found the chain invalid or couldn't run.
+    getHealth() {
+        this.app.get("/health", async (req, res) => {
+            try {
+                let integrity = this.monitor.getStatus();
+                let tip = this.blockchain.chain[this.blockchain.height];
+                let body = {
+                    status: integrity.status,
+                    uptime: Math.round(process.uptime()),
+                    readOnly: integrity.readOnly !== null,
+                    chain: {name: this.blockchain.name, height: this.blockchain.height, tipHash: tip ? tip.hash : null},
+                    integrity: integrity
+                };
+                let healthy = integrity.status === "ok" || integrity.status === "starting";
+                return res.status(healthy ? 200 : 503).json(body);
+            } catch (error) {
+                return Errors.sendError(res, error);
+            }
+        });
+    }
+
+}
+
+module.exports = (app, blockchain, monitor) => { return new HealthController(app, blockchain, monitor);}
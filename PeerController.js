@@ -0,0 +1,78 @@
+/**
+ *          PeerController
+ *
+ * This class expose the endpoints used by the nodes to replicate the Blockchain dataset
+ * between them (see `src/peers.js`)
+ */
+const Errors = require("./src/errors.js");
+const AdminAuth = require("./src/adminAuth.js");
+const RateLimit = require("./src/rateLimiter.js");
+
+class PeerController {
+
+    //The constructor receive the instance of the express.js app, the PeerNetwork class
+    //and the options `{adminToken, rateLimiter}`, the token required to register a peer
+    constructor(app, network, options = {}) {
+        this.app = app;
+        this.network = network;
+        this.adminToken = options.adminToken || null;
+        this.rateLimiter = options.rateLimiter || new RateLimit.RateLimiter();
+        // All the endpoints methods needs to be called in the constructor to initialize the route.
+        this.getPeers();
+        this.addPeer();
+        this.receiveBlock();
+        this.synchronize();
+    }
+
+    // Endpoint that returns the list of the peers (GET Endpoint)
+    getPeers() {
+        this.app.get("/peers", async (req, res) => {
+            return res.status(200).json(this.network.getPeers());
+        });
+    }
+
+    // Endpoint that registers a peer `{url}` and synchronizes with it, requires the admin token (POST Endpoint)
+    addPeer() {
+        this.app.post("/peers", AdminAuth.requireAdminToken(this.adminToken), async (req, res) => {
+            if(!req.body.url) {
+                return Errors.sendError(res, new Errors.ValidationError("Check the Body Parameter!", [{field: "url", message: "url is required"}]));
+            }
+            try {
+                let added = await this.network.addPeer(req.body.url);
+                return res.status(added ? 201 : 200).json(this.network.getPeers());
+            } catch (error) {
+                return Errors.sendError(res, new Errors.ValidationError(error.message, [{field: "url", message: error.message}]));
+            }
+        });
+    }
+
+    // Endpoint used by the peers to announce a new block `{block}` (POST Endpoint)
+    receiveBlock() {
+        this.app.post("/peers/blocks", this.rateLimiter.limitRequests("peers"), async (req, res) => {
+            if(!req.body.block) {
+                return Errors.sendError(res, new Errors.ValidationError("Check the Body Parameter!", [{field: "block", message: "block is required"}]));
+            }
+            try {
+                let result = await this.network.receiveBlock(req.body.block);
+                return res.status(200).json({result: result});
+            } catch (error) {
+                return Errors.sendError(res, error);
+            }
+        });
+    }
+
+    // Endpoint that synchronizes the chain with every peer, the longest valid chain wins (POST Endpoint)
+    synchronize() {
+        this.app.post("/peers/sync", this.rateLimiter.limitRequests("peers"), async (req, res) => {
+            try {
+                let height = await this.network.resolveConflicts();
+                return res.status(200).json({height: height});
+            } catch (error) {
+                return Errors.sendError(res, error);
+            }
+        });
+    }
+
+}
+
+module.exports = (app, network, options) => { return new PeerController(app, network, options);}
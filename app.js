@@ -9,10 +9,80 @@
 const express = require("express");
 const morgan = require("morgan");
 const bodyParser = require("body-parser");
+const path = require("path");
+const Errors = require("./src/errors.js");
 /**
  * Require the Blockchain class. This allow us to have only one instance of the class.
  */
 const BlockChain = require('./src/blockchain.js');
+/**
+ * Require the storage where the chain is persisted between restarts.
+ * The file can be changed with the `CHAIN_FILE` environment variable.
+ */
+const Storage = require('./src/storage.js');
+const CHAIN_FILE = process.env.CHAIN_FILE || path.join(__dirname, "data", "chain.ndjson");
+/**
+ * Proof-of-work difficulty (number of leading zeros of the block hashes), disabled by default and at most 6.
+ * `POW_FROM_HEIGHT` allows to enable it on an existing chain, blocks below that height aren't mined.
+ */
+const POW_DIFFICULTY = parseInt(process.env.POW_DIFFICULTY || "0");
+const POW_FROM_HEIGHT = parseInt(process.env.POW_FROM_HEIGHT || "0");
+/**
+ * Require the PeerNetwork class that replicates the chain with the other nodes.
+ * - `PORT` the port to listen on, 8000 by default
+ * - `PUBLIC_URL` the URL the peers use to reach this node, `http://localhost:<PORT>` by default
+ * - `PEERS` comma separated URLs of the peers to connect to at startup
+ * The nodes announce themselves to their peers with `ADMIN_TOKEN` (see below), the nodes of a network share it.
+ */
+const Peers = require('./src/peers.js');
+const PORT = parseInt(process.env.PORT || "8000");
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${PORT}`;
+const PEERS = (process.env.PEERS || "").split(",").map(url => url.trim()).filter(url => url !== "");
+/**
+ * Require the EventStream class that pushes the new blocks to the clients (`GET /events`).
+ */
+const Events = require('./src/eventStream.js');
+/**
+ * Chain export files (see `src/chainFile.js`).
+ * - `ADMIN_TOKEN` enables `POST /chain/import`, the requests need the `Authorization: Bearer <ADMIN_TOKEN>` header
+ * - `IMPORT_FILE` or `--import <file>` replaces the chain by an exported chain at startup,
+ *   the application stops if the file doesn't pass the validation
+ */
+const fs = require("fs");
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+const IMPORT_ARG = process.argv.indexOf("--import");
+const IMPORT_FILE = IMPORT_ARG !== -1 ? process.argv[IMPORT_ARG + 1] : process.env.IMPORT_FILE;
+/**
+ * Require the ChainRegistry class that serves named registries under `/chains/:name/...`.
+ * - `CHAINS_FILE` the configuration of the registries created with `POST /chains`
+ * - `CHAINS_DIR` the directory of their chain files
+ * The chain served at the root is also served as `/chains/default/...`.
+ */
+const Registry = require('./src/registry.js');
+const CHAINS_FILE = process.env.CHAINS_FILE || path.join(__dirname, "data", "chains.json");
+const CHAINS_DIR = process.env.CHAINS_DIR || path.join(__dirname, "data", "chains");
+/**
+ * Require the IntegrityMonitor class that validates the chains in the background (`GET /health`).
+ * - `INTEGRITY_INTERVAL` seconds between two checks, 60 by default, 0 only checks the chains at startup
+ * - `READ_ONLY_ON_TAMPER` set to `true` to reject the new blocks while a chain is invalid
+ */
+const Integrity = require('./src/integrityMonitor.js');
+const INTEGRITY_INTERVAL = parseInt(process.env.INTEGRITY_INTERVAL || "60");
+const READ_ONLY_ON_TAMPER = process.env.READ_ONLY_ON_TAMPER === "true";
+/**
+ * Require the RateLimiter class that throttles the requests adding blocks, 0 disables a limit.
+ * - `RATE_LIMIT_WINDOW` length of the window in seconds, 60 by default
+ * - `RATE_LIMIT_IP` requests per window from the same IP address, 30 by default
+ * - `RATE_LIMIT_ADDRESS` requests per window for the same wallet address, 10 by default
+ * - `STARS_PER_DAY` stars a wallet address can register in 24 hours, 100 by default
+ * - `TRUST_PROXY` set to `true` behind a reverse proxy so the IP address is read from `X-Forwarded-For`
+ */
+const RateLimit = require('./src/rateLimiter.js');
+const RATE_LIMIT_WINDOW = parseInt(process.env.RATE_LIMIT_WINDOW || "60");
+const RATE_LIMIT_IP = parseInt(process.env.RATE_LIMIT_IP || "30");
+const RATE_LIMIT_ADDRESS = parseInt(process.env.RATE_LIMIT_ADDRESS || "10");
+const STARS_PER_DAY = parseInt(process.env.STARS_PER_DAY || "100");
+const TRUST_PROXY = process.env.TRUST_PROXY === "true";
 
 class ApplicationServer {
 
@@ -20,7 +90,35 @@ class ApplicationServer {
 		//Express application object
 		this.app = express();
 		//Blockchain class object
-		this.blockchain = new BlockChain.Blockchain();
+		this.blockchain = new BlockChain.Blockchain({
+			storage: new Storage.FileStorage(CHAIN_FILE),
+			difficulty: [{height: POW_FROM_HEIGHT, difficulty: POW_DIFFICULTY}]
+		});
+		//PeerNetwork class object
+		this.network = new Peers.PeerNetwork(this.blockchain, {selfUrl: PUBLIC_URL, token: ADMIN_TOKEN});
+		//EventStream class object
+		this.events = new Events.EventStream(this.blockchain);
+		//RateLimiter class object, shared by the registries (their counters are separate)
+		this.rateLimiter = new RateLimit.RateLimiter({
+			windowMs: RATE_LIMIT_WINDOW * 1000,
+			ipLimit: RATE_LIMIT_IP,
+			addressLimit: RATE_LIMIT_ADDRESS,
+			starsPerDay: STARS_PER_DAY
+		});
+		//IntegrityMonitor class object, started once the chain is loaded
+		this.monitor = this.createMonitor(this.blockchain);
+		//ChainRegistry class object, holding the root chain as `default`
+		this.registry = new Registry.ChainRegistry({
+			configFile: CHAINS_FILE,
+			dataDir: CHAINS_DIR,
+			createRouter: (registry) => this.createRouter(registry)
+		});
+		this.registry.attach("default", this.blockchain, {
+			storagePath: path.resolve(CHAIN_FILE),
+			validityWindow: 300,
+			// The root chain is mined to `POW_DIFFICULTY` only from `POW_FROM_HEIGHT`
+			difficulty: this.blockchain.difficultySchedule
+		});
 		//Method that initialized the express framework.
 		this.initExpress();
 		//Method that initialized middleware modules
@@ -32,23 +130,95 @@ class ApplicationServer {
 	}
 
 	initExpress() {
-		this.app.set("port", 8000);
+		this.app.set("port", PORT);
+		this.app.set("trust proxy", TRUST_PROXY);
 	}
 
 	initExpressMiddleWare() {
 		this.app.use(morgan("dev"));
 		this.app.use(bodyParser.urlencoded({extended:true}));
-		this.app.use(bodyParser.json());
+		// Blocks announced by the peers can hold a batch of stars,
+		// the chain imports (`/chain/import`, `/chains/:name/chain/import`) have their own parsers (see BlockchainController)
+		let json = bodyParser.json({limit: "1mb"});
+		this.app.use((req, res, next) => /\/chain\/import$/.test(req.path) ? next() : json(req, res, next));
 	}
 
 	initControllers() {
-        require("./BlockchainController.js")(this.app, this.blockchain);
+        require("./BlockchainController.js")(this.app, this.blockchain, {adminToken: ADMIN_TOKEN, rateLimiter: this.rateLimiter});
+        require("./PeerController.js")(this.app, this.network, {adminToken: ADMIN_TOKEN, rateLimiter: this.rateLimiter});
+        require("./EventController.js")(this.app, this.events);
+        require("./HealthController.js")(this.app, this.blockchain, this.monitor);
+        require("./ExplorerController.js")(this.app, this.blockchain);
+        require("./ChainsController.js")(this.app, this.registry, {adminToken: ADMIN_TOKEN});
+		// The unknown endpoints and the errors of the middlewares (e.g. a malformed JSON body) answer the same JSON errors
+		this.app.use((req, res) => Errors.sendError(res, new Errors.NotFoundError(`Cannot ${req.method} ${req.path}`)));
+		this.app.use((error, req, res, next) => Errors.sendError(res, error));
+	}
+
+	// The endpoints of a named registry, the same as those of the root chain
+	createRouter(registry) {
+		let router = express.Router();
+		let events = registry.blockchain === this.blockchain ? this.events : new Events.EventStream(registry.blockchain);
+		require("./BlockchainController.js")(router, registry.blockchain, {adminToken: ADMIN_TOKEN, rateLimiter: this.rateLimiter});
+		require("./EventController.js")(router, events);
+		require("./ExplorerController.js")(router, registry.blockchain);
+		let monitor = this.monitor;
+		if (registry.blockchain !== this.blockchain) {
+			// The registries are attached once their chain is ready
+			monitor = this.createMonitor(registry.blockchain);
+			monitor.start();
+		}
+		require("./HealthController.js")(router, registry.blockchain, monitor);
+		return router;
+	}
+
+	createMonitor(blockchain) {
+		return new Integrity.IntegrityMonitor(blockchain, {interval: INTEGRITY_INTERVAL * 1000, readOnlyOnFailure: READ_ONLY_ON_TAMPER});
 	}
 
 	start() {
 		let self = this;
-		this.app.listen(this.app.get("port"), () => {
-			console.log(`Server Listening for port: ${self.app.get("port")}`);
+		// Only accept requests once the stored chain has been loaded and validated
+		this.blockchain.ready().catch((error) => {
+			error.message = `the chain stored in ${CHAIN_FILE} could not be loaded: ${error.message}`;
+			throw error;
+		}).then(() => {
+			return IMPORT_FILE ? self.importFile(IMPORT_FILE) : null;
+		}).then(() => {
+			self.monitor.start();
+			// Then the named registries
+			return self.registry.load();
+		}).then(() => {
+			self.app.listen(self.app.get("port"), () => {
+				console.log(`Server Listening for port: ${self.app.get("port")}`);
+				// Connect to the peers once this node can answer them
+				PEERS.forEach(peer => {
+					self.network.addPeer(peer).catch(error => console.error(`Invalid peer ${peer}: ${error.message}`));
+				});
+			});
+		}).catch((error) => {
+			console.error(`Unable to start, ${error.message}`);
+			if (error.report) {
+				error.report.errors.forEach(blockError => console.error(`  block ${blockError.height}: ${blockError.type} - ${blockError.message}`));
+			}
+			process.exit(1);
+		});
+	}
+
+	importFile(file) {
+		let content;
+		try {
+			content = fs.readFileSync(file, "utf8");
+		} catch (error) {
+			console.error(`Unable to read the chain file ${file}:`, error.message);
+			process.exit(1);
+		}
+		return this.blockchain.importChain(content).catch((error) => {
+			console.error(`Unable to import the chain file ${file}:`, error.message);
+			if (error.report) {
+				error.report.errors.forEach(blockError => console.error(`  block ${blockError.height}: ${blockError.type} - ${blockError.message}`));
+			}
+			process.exit(1);
 		});
 	}
 
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+/**
+ *          star command line client
+ *
+ * Usage: star <command> [options], see `star help`.
+ * The node is `--url`, or the `STAR_URL` environment variable, `http://localhost:8000` by default.
+ * The WIF private key can be given with `--wif` or the `STAR_WIF` environment variable
+ * (better, it isn't kept in the shell history). The key never leaves the computer, only the signature is sent.
+ */
+const { parseArgs } = require("util");
+const { RegistryClient } = require("../src/client.js");
+
+const USAGE = `Usage: star <command> [options]
+
+Commands:
+  request <address>             Request the message to sign to prove the ownership of an address
+  request --wif <key>           Same, for the address of the private key
+  submit --wif <key> --ra <ra> --dec <dec> --story <story> [--mag <mag>] [--cen <cen>] [--constellation <name>]
+                                Request the message, sign it with the key and register the star
+  submit --address <address> --message <message> --signature <signature> --ra ... --dec ... --story ...
+                                Register a star with a message signed elsewhere (e.g. Electrum)
+  list <address>                List the stars owned by an address
+  block <height|hash>           Show a block
+  validate [--from <height>] [--to <height>]
+                                Validate the chain, exits with 1 if it is invalid
+  help                          Show this help
+
+Options:
+  --url <url>                   URL of the node (STAR_URL, http://localhost:8000 by default)
+  --wif <key>                   WIF private key (STAR_WIF)
+  --json                        Print the raw JSON answers`;
+
+const OPTIONS = {
+    url: {type: "string"},
+    wif: {type: "string"},
+    address: {type: "string"},
+    message: {type: "string"},
+    signature: {type: "string"},
+    ra: {type: "string"},
+    dec: {type: "string"},
+    story: {type: "string"},
+    mag: {type: "string"},
+    cen: {type: "string"},
+    constellation: {type: "string"},
+    from: {type: "string"},
+    to: {type: "string"},
+    json: {type: "boolean"},
+    help: {type: "boolean", short: "h"}
+};
+
+class StarCli {
+
+    constructor(argv) {
+        let parsed = parseArgs({args: StarCli.joinNegativeValues(argv), options: OPTIONS, allowPositionals: true});
+        this.options = parsed.values;
+        this.command = parsed.positionals[0] || "help";
+        this.args = parsed.positionals.slice(1);
+        this.wif = this.options.wif || process.env.STAR_WIF;
+        this.client = new RegistryClient(this.options.url || process.env.STAR_URL || "http://localhost:8000");
+    }
+
+    // A negative declination is a value, not an option: `--dec -26°` becomes `--dec=-26°`
+    static joinNegativeValues(argv) {
+        let args = [];
+        for (let i = 0; i < argv.length; i++) {
+            let name = argv[i].startsWith("--") ? argv[i].slice(2) : null;
+            if (name && OPTIONS[name] && OPTIONS[name].type === "string" && /^-[\d.]/.test(argv[i + 1] || "")) {
+                args.push(`${argv[i]}=${argv[i + 1]}`);
+                i++;
+            } else {
+                args.push(argv[i]);
+            }
+        }
+        return args;
+    }
+
+    async run() {
+        if (this.options.help) {
+            return this.help();
+        }
+        switch (this.command) {
+            case "request": return this.request();
+            case "submit": return this.submit();
+            case "list": return this.list();
+            case "block": return this.block();
+            case "validate": return this.validate();
+            case "help": return this.help();
+            default: throw new UsageError(`Unknown command ${this.command}`);
+        }
+    }
+
+    help() {
+        console.log(USAGE);
+    }
+
+    // star request <address> | star request --wif <key>
+    async request() {
+        let address = this.args[0] || (this.wif ? RegistryClient.keyFromWIF(this.wif).address : null);
+        if (!address) {
+            throw new UsageError("An address or a WIF private key is required");
+        }
+        let message = await this.client.requestValidation(address);
+        this.print(message, () => `Sign this message with the key of ${address}:\n${message}`);
+    }
+
+    // star submit --wif <key> --ra --dec --story, or with --address --message --signature
+    async submit() {
+        let star = this.readStar();
+        let block;
+        if (this.options.message || this.options.signature) {
+            let address = this.options.address || (this.wif ? RegistryClient.keyFromWIF(this.wif).address : null);
+            if (!address || !this.options.message || !this.options.signature) {
+                throw new UsageError("--address, --message and --signature are required to submit a message signed elsewhere");
+            }
+            block = await this.client.submitStar(address, this.options.message, this.options.signature, star);
+        } else {
+            if (!this.wif) {
+                throw new UsageError("A WIF private key is required (--wif or STAR_WIF) to sign the message");
+            }
+            block = await this.client.registerStar(this.wif, star);
+        }
+        this.print(block, () => `Star registered in the block ${block.height}\nhash: ${block.hash}`);
+    }
+
+    // star list <address>
+    async list() {
+        let address = this.args[0] || (this.wif ? RegistryClient.keyFromWIF(this.wif).address : null);
+        if (!address) {
+            throw new UsageError("An address is required");
+        }
+        let stars = await this.client.getStarsByOwner(address);
+        this.print(stars, () => {
+            if (stars.length === 0) {
+                return `No star owned by ${address}`;
+            }
+            return stars.map(entry => {
+                let details = [`ra ${entry.star.ra}`, `dec ${entry.star.dec}`];
+                ["mag", "cen", "constellation"].filter(field => entry.star[field] !== undefined)
+                    .forEach(field => details.push(`${field} ${entry.star[field]}`));
+                return `${entry.starHash}\n  ${details.join(", ")}\n  ${entry.star.story}`;
+            }).join("\n");
+        });
+    }
+
+    // star block <height|hash>
+    async block() {
+        if (this.args.length === 0) {
+            throw new UsageError("A block height or hash is required");
+        }
+        let block = await this.client.getBlock(this.args[0]);
+        console.log(JSON.stringify(block, null, 2));
+    }
+
+    // star validate [--from] [--to]
+    async validate() {
+        let report = await this.client.validateChain({from: this.options.from, to: this.options.to});
+        this.print(report, () => {
+            let lines = [`The chain is ${report.valid ? "valid" : "invalid"}: ${report.checkedBlocks} block(s) checked between the heights ${report.from} and ${report.to}`];
+            report.errors.forEach(error => lines.push(`  block ${error.height}: ${error.type} - ${error.message}`));
+            return lines.join("\n");
+        });
+        if (!report.valid) {
+            process.exitCode = 1;
+        }
+    }
+
+    readStar() {
+        let missing = ["ra", "dec", "story"].filter(field => !this.options[field]);
+        if (missing.length > 0) {
+            throw new UsageError(`Missing star field(s): ${missing.map(field => `--${field}`).join(", ")}`);
+        }
+        let star = {};
+        ["ra", "dec", "mag", "cen", "constellation", "story"].filter(field => this.options[field] !== undefined)
+            .forEach(field => star[field] = this.options[field]);
+        if (star.mag !== undefined && star.mag.trim() !== "" && Number.isFinite(Number(star.mag))) {
+            star.mag = Number(star.mag);
+        }
+        return star;
+    }
+
+    // Print the raw JSON with --json, the text returned by `format` otherwise
+    print(data, format) {
+        console.log(this.options.json ? JSON.stringify(data, null, 2) : format());
+    }
+
+}
+
+class UsageError extends Error {}
+
+async function main() {
+    try {
+        await new StarCli(process.argv.slice(2)).run();
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        (error.errors || []).forEach(detail => console.error(`  ${detail.field || detail.height}: ${detail.message}`));
+        if (error instanceof UsageError || error.code === "ERR_PARSE_ARGS_UNKNOWN_OPTION") {
+            console.error("Run `star help` for the usage.");
+        }
+        process.exitCode = 1;
+    }
+}
+
+main();
@@ -0,0 +1,28 @@
+/**
+ *                          Admin token
+ *  The administration endpoints (chain import, registry creation...) require the header
+ *  `Authorization: Bearer <ADMIN_TOKEN>`. They are disabled when no token is configured.
+ */
+ const crypto = require('crypto');
+ const Errors = require('./errors.js');
+
+ /**
+  * Return an express middleware that only lets the requests holding `token` through.
+  * @param {*} token the admin token, null to disable the endpoint
+  */
+ function requireAdminToken(token) {
+     return (req, res, next) => {
+         if (!token) {
+             return Errors.sendError(res, new Errors.ForbiddenError('This endpoint is disabled, set ADMIN_TOKEN to enable it'));
+         }
+         let expected = Buffer.from(`Bearer ${token}`);
+         let given = Buffer.from(req.get('Authorization') || '');
+         // Compare in constant time so the token can't be guessed from the response time
+         if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+             return Errors.sendError(res, new Errors.BlockchainError('A valid admin token is required', 401, 'unauthorized'));
+         }
+         next();
+     };
+ }
+
+ module.exports.requireAdminToken = requireAdminToken;
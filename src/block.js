@@ -7,19 +7,190 @@
  *  the data should be stored encoded.
  *  All the exposed methods should return a Promise to allow all the methods 
  *  run asynchronous.
+ *
+ *  Block versions (the `version` field):
+ *  - version 1, the blocks without `version`: the hash is the SHA256 of `JSON.stringify(block)` with `hash` set to null,
+ *    it depends on the order of the properties so these blocks are kept exactly as they were stored
+ *  - version 2: the hash is the SHA256 of the canonical serialization of the block (see `canonicalize()`),
+ *    the JSON array of the hashed fields in the order of `HASHED_FIELDS`, whatever the order of the properties.
+ *    Every field has a type (see `checkFields()`), `time` is a number of seconds.
+ *  The new blocks are version 2, the version 1 blocks of the existing chains are still validated.
  */
  const SHA256 = require('crypto-js/sha256');
- const hex2ascii = require('hex2ascii');
+ const Merkle = require('./merkle.js');
+
+ // Version of the blocks created by this code
+ const CURRENT_VERSION = 2;
+ // Fields covered by the hash of a version 2 block, in the order they are serialized
+ const HASHED_FIELDS = ['version', 'height', 'time', 'previousBlockHash', 'body', 'merkleRoot', 'difficulty', 'nonce'];
+ const HASH_PATTERN = /^[0-9a-f]{64}$/;
+ // Highest proof-of-work difficulty the blocks can be mined to, each level multiplies the mining time by 16
+ const MAX_DIFFICULTY = 6;
+ // Number of nonces tried between two pauses of the mining, so the other requests are served meanwhile
+ const MINE_SLICE = 5000;
  
  class Block {
  
      // Constructor - argument data will be the object containing the transaction data
    constructor(data){
+     this.version = CURRENT_VERSION;                             // Format of the block, see above
      this.hash = null;                                           // Hash of the block
      this.height = 0;                                            // Block Height (consecutive number of each block)
-     this.body = Buffer.from(JSON.stringify(data)).toString('hex');   // Will contain the transactions stored in the block, by default it will encode the data
-     this.time = 0;                                              // Timestamp for the Block creation
+     this.body = Buffer.from(JSON.stringify(data), 'utf8').toString('hex');   // Will contain the transactions stored in the block, by default it will encode the data
+     this.time = 0;                                              // Timestamp for the Block creation, in seconds
      this.previousBlockHash = null;                              // Reference to the previous Block Hash
+     this.nonce = 0;                                             // Proof-of-work counter, incremented while mining
+     this.difficulty = 0;                                        // Number of leading zeros the hash was mined to (0 = no proof-of-work)
+     }
+
+     /**
+      *  Create a block holding several entries (star registrations) with `{type: 'batch', entries}` as body.
+      *  The block records the Merkle root of its entries (see `merkle.js`) and its hash only covers
+      *  the header, so a light client can check an entry with a Merkle proof and the header alone.
+      *  Throws if the same entry is given twice.
+      *  @param {*} entries 
+      */
+     static createBatch(entries) {
+         let leaves = entries.map(Merkle.leafHash);
+         if (Merkle.hasDuplicates(leaves)) {
+             throw new Error('A batch cannot hold the same entry twice');
+         }
+         let block = new Block({type: 'batch', entries: entries});
+         block.merkleRoot = Merkle.merkleRoot(leaves);   // Merkle root of the entries of the body
+         return block;
+     }
+
+     /**
+      *  Return the header of the block: the block with `hash` and `body` set to null.
+      *  This is what is hashed for a block with a Merkle root.
+      */
+     getHeader() {
+         return Object.assign({}, this, {hash: null, body: null});
+     }
+
+     /**
+      *  Return the version of the block, 1 for the blocks created before the `version` field.
+      */
+     getVersion() {
+         return this.version === undefined ? 1 : this.version;
+     }
+
+     /**
+      *  Return the canonical serialization of a version 2 block: the JSON array of the values of `HASHED_FIELDS`.
+      *  A missing `merkleRoot` is null, and so is the `body` of a block with a Merkle root (its entries are covered by the root).
+      */
+     canonicalize() {
+         return JSON.stringify(HASHED_FIELDS.map(field => {
+             if (field === 'body' && this.merkleRoot !== undefined) {
+                 return null;
+             }
+             return this[field] === undefined ? null : this[field];
+         }));
+     }
+
+     /**
+      *  Check the fields of the block have the type of its version. Returns the list of problems found, empty when
+      *  the fields are valid. A version 2 block can't have other fields than `hash` and `HASHED_FIELDS`
+      *  since they wouldn't be covered by its hash.
+      */
+     checkFields() {
+         let version = this.getVersion();
+         if (version === 1) {
+             return [];
+         }
+         if (version !== CURRENT_VERSION) {
+             return [`Unsupported block version ${JSON.stringify(this.version)}, the latest version is ${CURRENT_VERSION}`];
+         }
+         let problems = [];
+         const isCount = value => Number.isInteger(value) && value >= 0;
+         const check = (valid, field, type) => {
+             if (!valid) {
+                 problems.push(`${field} should be ${type}, got ${JSON.stringify(this[field])}`);
+             }
+         };
+         check(typeof this.hash === 'string' && HASH_PATTERN.test(this.hash), 'hash', 'a SHA256 hex string');
+         check(isCount(this.height), 'height', 'a positive integer');
+         check(isCount(this.time), 'time', 'a number of seconds');
+         check(this.previousBlockHash === null || (typeof this.previousBlockHash === 'string' && HASH_PATTERN.test(this.previousBlockHash)), 'previousBlockHash', 'null or a SHA256 hex string');
+         check(typeof this.body === 'string' && /^([0-9a-f]{2})*$/.test(this.body), 'body', 'a hex string');
+         check(this.merkleRoot === undefined || (typeof this.merkleRoot === 'string' && HASH_PATTERN.test(this.merkleRoot)), 'merkleRoot', 'a SHA256 hex string');
+         check(isCount(this.difficulty) && this.difficulty <= 64, 'difficulty', 'an integer between 0 and 64');
+         check(isCount(this.nonce), 'nonce', 'a positive integer');
+         Object.keys(this).filter(field => field !== 'hash' && !HASHED_FIELDS.includes(field)).forEach(field => {
+             problems.push(`${field} isn't a field of a version ${CURRENT_VERSION} block, it isn't covered by the hash`);
+         });
+         return problems;
+     }
+
+     /**
+      *  Calculate the hash of the block, the `hash` property is ignored (set to null while hashing).
+      *  The hash of a block with a Merkle root only covers its header, the body is covered by the Merkle root.
+      *  Version 2 blocks hash their canonical serialization, version 1 blocks the JSON of their properties.
+      */
+     calculateHash() {
+         if (this.getVersion() !== 1) {
+             return SHA256(this.canonicalize()).toString();
+         }
+         if (this.merkleRoot !== undefined) {
+             return SHA256(JSON.stringify(this.getHeader())).toString();
+         }
+         let currentHash = this.hash;
+         this.hash = null;
+         let hash = SHA256(JSON.stringify(this)).toString();
+         this.hash = currentHash;
+         return hash;
+     }
+
+     /**
+      *  Check the Merkle root recorded in the block matches the entries of its body and that no entry
+      *  is repeated (see `merkle.js`), always true for a block without Merkle root.
+      */
+     verifyMerkleRoot() {
+         if (this.merkleRoot === undefined) {
+             return true;
+         }
+         try {
+             let entries = this._decodeBody().entries;
+             if (!Array.isArray(entries)) {
+                 return false;
+             }
+             let leaves = entries.map(Merkle.leafHash);
+             return !Merkle.hasDuplicates(leaves) && Merkle.merkleRoot(leaves) === this.merkleRoot;
+         } catch (error) {
+             return false;
+         }
+     }
+
+     /**
+      *  Check if the hash of the block starts with `difficulty` zeros.
+      *  @param {*} difficulty 
+      */
+     meetsDifficulty(difficulty) {
+         return typeof this.hash === 'string' && this.hash.startsWith('0'.repeat(difficulty));
+     }
+
+     /**
+      *  Proof-of-work: increment the nonce until the hash of the block starts with `difficulty` zeros,
+      *  then set the hash. With a difficulty of 0 the block is hashed once.
+      *  The difficulty is recorded in the block so it is covered by the hash.
+      *  The event loop is released every `MINE_SLICE` nonces. Resolves with the hash.
+      *  @param {*} difficulty between 0 and `MAX_DIFFICULTY`
+      */
+     async mine(difficulty) {
+         if (!Number.isInteger(difficulty) || difficulty < 0 || difficulty > MAX_DIFFICULTY) {
+             throw new Error(`The difficulty should be an integer between 0 and ${MAX_DIFFICULTY}, got ${difficulty}`);
+         }
+         this.difficulty = difficulty;
+         this.nonce = 0;
+         this.hash = this.calculateHash();
+         while (!this.meetsDifficulty(difficulty)) {
+             this.nonce++;
+             this.hash = this.calculateHash();
+             if (this.nonce % MINE_SLICE === 0) {
+                 await new Promise(resolve => setImmediate(resolve));
+             }
+         }
+         return this.hash;
      }
      
      /**
@@ -32,6 +203,9 @@
      *  3. Recalculate the hash of the entire block (Use SHA256 from crypto-js library)
      *  4. Compare if the auxiliary hash value is different from the calculated one.
      *  5. Resolve true or false depending if it is valid or not.
+     *  A block mined with proof-of-work is also invalid if its hash doesn't meet the difficulty it records,
+     *  a block with a Merkle root if the root doesn't match its entries, and a block whose fields don't have
+     *  the types of its version (see `checkFields()`).
      *  Note: to access the class values inside a Promise code you need to create an auxiliary value `let self = this;`
      */
       validate() {
@@ -39,18 +213,15 @@
         return new Promise((resolve, reject) => {
             // Save in auxiliary variable the current block hash
             let VaultTrueHash = self.hash;
-            self.hash = null;//To make sure that we recalculate the hash, without the hash value set                            
             // Recalculate the hash of the Block
-            let RecalculateHash = SHA256(JSON.stringify(self)).toString();
-            // Comparing if the hashes changed
-            if(VaultTrueHash == RecalculateHash){
+            let RecalculateHash = self.calculateHash();
+            // Comparing if the hashes changed, and if the proof-of-work is there
+            // Nothing is logged, the whole chain is validated in the background (see `integrityMonitor.js`)
+            if(VaultTrueHash == RecalculateHash && self.meetsDifficulty(self.difficulty || 0) && self.verifyMerkleRoot() && self.checkFields().length === 0){
                 // Returning the Block is valid
-                console.log("The block is valid");
-                self.hash = RecalculateHash; //Dont forget to reassign the hash!!
                 resolve(true);   
             }else{
-                // Returning the Block is not valid
-                console.log("The block is invalid. Maybe it has been tempered with...");
+                // Returning the Block is not valid, the validation report tells why
                 resolve(false);   
             }          
 
@@ -61,7 +232,7 @@
       *  Auxiliary Method to return the block body (decoding the data)
       *  Steps:
       *  
-      *  1. Use hex2ascii module to decode the data
+      *  1. Decode the hex body back to the UTF-8 JSON string (`Buffer` keeps non-ASCII characters intact)
       *  2. Because data is a javascript object use JSON.parse(string) to get the Javascript Object
       *  3. Resolve with the data and make sure that you don't need to return the data for the `genesis block` 
       *     or Reject with an error.
@@ -70,9 +241,12 @@
         let self=this;
 
         return new Promise( async (resolve, reject) => {          
-            let enc_data = this.body;       // Getting the encoded data saved in the Block                                    
-            let dec_data = hex2ascii(enc_data); // Decoding the data to retrieve the JSON representation of the object
-            let decdata_in_JSON=JSON.parse(dec_data); // Parse the data to an object to be retrieve.
+            let decdata_in_JSON;
+            try {
+                decdata_in_JSON = self._decodeBody();
+            } catch (error) {
+                return reject(new Error(`Unable to decode the body of the block ${this.height}: ${error.message}`));
+            }
             // Resolve with the data if the object isn't the Genesis block
             if (this.height == 0) {
                 //This is the genesis block as height == 0
@@ -83,7 +257,30 @@
         });
 
     }
+
+     _decodeBody() {
+         let enc_data = this.body;       // Getting the encoded data saved in the Block
+         let dec_data = Buffer.from(enc_data, 'hex').toString('utf8'); // Decoding the data to retrieve the JSON representation of the object
+         return JSON.parse(dec_data); // Parse the data to an object to be retrieve.
+     }
+
+     /**
+      *  Rebuild a Block instance from the plain object read from a storage.
+      *  The properties are copied as they were stored (same keys, same order)
+      *  so the recalculated hash of a version 1 block matches the one computed when the block was added,
+      *  the order doesn't matter for a version 2 block.
+      *  @param {*} data the stored block, as an object or a JSON string
+      */
+     static fromJSON(data) {
+         if (typeof data === 'string') {
+             data = JSON.parse(data);
+         }
+         return Object.assign(Object.create(Block.prototype), data);
+     }
  
  }
  
- module.exports.Block = Block;                    // Exposing the Block class as a module
\ No newline at end of file
+ module.exports.Block = Block;                    // Exposing the Block class as a module
+ module.exports.CURRENT_VERSION = CURRENT_VERSION;
+ module.exports.MAX_DIFFICULTY = MAX_DIFFICULTY;
+ module.exports.HASHED_FIELDS = HASHED_FIELDS;
\ No newline at end of file
@@ -1,18 +1,60 @@
 /**
  *                          Blockchain Class
  *  The Blockchain class contain the basics functions to create your own private blockchain
- *  It uses libraries like `crypto-js` to create the hashes for each block and `bitcoinjs-message` 
- *  to verify a message signature. The chain is stored in the array
- *  `this.chain = [];`. Of course each time you run the application the chain will be empty because and array
- *  isn't a persisten storage method.
+ *  It uses libraries like `crypto-js` to create the hashes for each block and `signatures.js`
+ *  to verify a message signature (Bitcoin legacy and SegWit addresses, Ethereum addresses). The chain is kept in the array `this.chain = [];`
+ *  for reads, and every block added is written through to a storage object (see `storage.js`)
+ *  so the chain can be reloaded when the application restarts.
  *  
  */
 
- const SHA256 = require('crypto-js/sha256');
  const BlockClass = require('./block.js');
- const bitcoinMessage = require('bitcoinjs-message');
+ const Storage = require('./storage.js');
+ const Coordinates = require('./coordinates.js');
+ const Errors = require('./errors.js');
+ const StarSchema = require('./starSchema.js');
+ const Challenges = require('./challenges.js');
+ const Merkle = require('./merkle.js');
+ const ChainFile = require('./chainFile.js');
+
+ // Maximum number of stars registered in a single block by `submitStars()`
+ const MAX_BATCH_SIZE = 50;
+ // Number of blocks returned by `getBlocks()` when no limit is given, and maximum limit
+ const DEFAULT_PAGE_SIZE = 10;
+ const MAX_PAGE_SIZE = 100;
+ const Signatures = require('./signatures.js');
+ const EventEmitter = require('events');
+ const SHA256 = require('crypto-js/sha256');
+
+ // Lowercase text without accents, used to search the stories
+ function normalizeText(text) {
+     return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+ }
+
+ // Hash of a story, part of the amendment message so the signature covers the new story
+ function hashStory(story) {
+     return SHA256(String(story)).toString();
+ }
+
+ // Why the decoded body of a block (other than the genesis block) can't be indexed, null when it can
+ function bodyProblem(data) {
+     if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+         return 'The body of the block is not an object';
+     }
+     if (data.type === 'batch' && (!Array.isArray(data.entries) || data.entries.length === 0
+         || data.entries.some(entry => entry === null || typeof entry !== 'object' || Array.isArray(entry)))) {
+         return 'The entries of a batch block should be an array of registrations';
+     }
+     return null;
+ }
  
- class Blockchain {
+ /**
+  * The Blockchain is an EventEmitter, it emits:
+  * - `block` (block, source) every time a block is added to the chain, `source` is `local` or `peer`
+  * - `replaced` (height) when the chain is replaced by a longer chain (see `replaceChain`) or an imported chain
+  * - `tampered` (report) when `validateChain()` finds an invalid block, with the validation report
+  */
+ class Blockchain extends EventEmitter {
  
      /**
       * Constructor of the class, you will need to setup your chain array and the height
@@ -21,23 +63,121 @@
       * the Genesis Block.
       * The methods in this class will always return a Promise to allow client applications or
       * other backends to call asynchronous functions.
+      * The chain stored in `options.storage` is loaded and validated by `ready()`, which the
+      * application awaits before serving requests.
+      * The operations changing the chain (adding a block, replacing or importing the chain) run one at a time
+      * in the order they are requested (see `_enqueue()`), so concurrent submissions always extend the current tip.
+      * @param {*} options `{name, storage, difficulty, validityWindow}`
+      * - `name` name of the registry (see `registry.js`), recorded in the Genesis Block
+      * - `storage` where the blocks are persisted, in memory by default
+      * - `validityWindow` number of seconds a message to sign can be used, 300 by default
+      * - `difficulty` proof-of-work difficulty (leading zeros of the block hash) that new blocks are mined to,
+      *   either a number or a schedule `[{height, difficulty}]` when the difficulty changes over time. 0 by default (no proof-of-work),
+      *   at most `Block.MAX_DIFFICULTY`.
       */
-     constructor() {
+     constructor(options = {}) {
+         super();
+         this.name = options.name || null;
          this.chain = [];
          this.height = -1;
-         this.initializeChain();
-         console.log("We are going to verify the initial chain!");
-         this.validateChain();
+         this.storage = options.storage || new Storage.MemoryStorage();
+         // Messages handed out to the wallets, each one can be signed and used once
+         this.challenges = new Challenges.ChallengeStore({validityWindow: options.validityWindow});
+         // Indexes of the chain (`hashIndex`, `ownerIndex`, `starIndex`, `ownership`, `skyIndex`, `stories`, `messages`), see `_createIndexes()`
+         Object.assign(this, this._createIndexes());
+         this.difficultySchedule = Array.isArray(options.difficulty)
+             ? options.difficulty.slice().sort((a, b) => a.height - b.height)
+             : [{height: 0, difficulty: options.difficulty || 0}];
+         this.difficultySchedule.forEach(step => {
+             if (!Number.isInteger(step.difficulty) || step.difficulty < 0 || step.difficulty > BlockClass.MAX_DIFFICULTY) {
+                 throw new Error(`The proof-of-work difficulty should be an integer between 0 and ${BlockClass.MAX_DIFFICULTY}, got ${step.difficulty}`);
+             }
+         });
+         // Tail of the queue of the operations changing the chain, see `_enqueue()`
+         this.appendQueue = Promise.resolve();
+         // Promise of the loading of the chain, see `ready()`
+         this.readyPromise = null;
+         // Why no block can be added, null when the chain accepts new blocks, see `setReadOnly()`
+         this.readOnly = null;
+         // Report of the last validation of the whole chain, see `validateChain()`
+         this.lastReport = null;
+         // Signatures already verified by the validation `[message, address, signature]` => scheme, see `_checkSignature()`
+         this.verifiedSignatures = new Map();
      }
- 
+
+     /**
+      * Load the chain from the storage (creating the Genesis Block of an empty chain) and validate it.
+      * Resolves with the validation report once the chain is ready to be used, or rejects with an
+      * error whose `report` is the validation report if the stored chain is invalid.
+      * The chain is loaded once, every call returns the same Promise. The operations changing the chain
+      * call it first, so they never run on a chain that isn't loaded yet.
+      */
+     ready() {
+         if (this.readyPromise === null) {
+             this.readyPromise = this._queue(async () => {
+                 await this.initializeChain();
+                 console.log("We are going to verify the initial chain!");
+                 let report = await this.validateChain();
+                 if (!report.valid) {
+                     let error = new Error(`The chain is invalid, first invalid block at height ${report.firstInvalidHeight}`);
+                     error.report = report;
+                     throw error;
+                 }
+                 return report;
+             });
+         }
+         return this.readyPromise;
+     }
+
+     /**
+      * Run `task` once the chain is ready and the operations requested before it are done.
+      * Every operation changing the chain goes through this method: an operation reads the height
+      * and the tip of the chain only when it runs, and no other block can be added meanwhile.
+      * Resolves or rejects like `task`, a failed operation doesn't stop the next ones.
+      * @param {*} task async function
+      */
+     _enqueue(task) {
+         return this.ready().then(() => this._queue(task));
+     }
+
+     _queue(task) {
+         let run = this.appendQueue.then(task);
+         this.appendQueue = run.catch(() => {});
+         return run;
+     }
+
+     /**
+      * Put the chain in read-only mode: the blocks are rejected with a `ReadOnlyError` explaining `reason`.
+      * The chain can still be replaced or imported, to restore a valid chain. A null `reason` leaves the read-only mode.
+      * @param {*} reason 
+      */
+     setReadOnly(reason) {
+         this.readOnly = reason || null;
+     }
+
+     _checkWritable() {
+         if (this.readOnly !== null) {
+             throw new Errors.ReadOnlyError(`The chain is read-only, no block can be added: ${this.readOnly}`);
+         }
+     }
+
      /**
-      * This method will check for the height of the chain and if there isn't a Genesis Block it will create it.
-      * You should use the `addBlock(block)` to create the Genesis Block
-      * Passing as a data `{data: 'Genesis Block'}`
+      * This method will load the blocks saved in the storage and if there isn't a Genesis Block it will create it.
+      * You should use the `_addBlock(block)` to create the Genesis Block
+      * Passing as a data `{data: 'Genesis Block'}`, and the `chain` name for a named registry
+      * It runs in the append queue from `ready()`, call `ready()` instead.
       */
      async initializeChain() {
+         let storedBlocks = await this.storage.load();
+         for (const data of storedBlocks) {
+             let block = BlockClass.Block.fromJSON(data);
+             this.chain.push(block);
+             await this._indexBlock(block);
+         }
+         this.height = this.chain.length - 1;
+         console.log(`${this.chain.length} block(s) loaded from the storage`);
          if( this.height === -1){
-             let block = new BlockClass.Block({data: 'Genesis Block'});
+             let block = new BlockClass.Block(this.name ? {data: 'Genesis Block', chain: this.name} : {data: 'Genesis Block'});
              await this._addBlock(block);
          }
      }
@@ -51,6 +191,21 @@
          });
      }
  
+     /**
+      * Return the proof-of-work difficulty a block at `height` has to be mined to,
+      * according to the difficulty schedule of the chain.
+      * @param {*} height 
+      */
+     getDifficultyForHeight(height) {
+         let difficulty = 0;
+         this.difficultySchedule.forEach(step => {
+             if (step.height <= height) {
+                 difficulty = step.difficulty;
+             }
+         });
+         return difficulty;
+     }
+
      /**
       * _addBlock(block) will store a block in the chain
       * @param {*} block 
@@ -60,6 +215,11 @@
       * assign the `timestamp` and the correct `height`...At the end you need to 
       * create the `block hash` and push the block into the chain array. Don't for get 
       * to update the `this.height`
+      * The block hash is mined to the difficulty scheduled for its height (see `getDifficultyForHeight`).
+      * The block is written to the storage before it is pushed into the chain array,
+      * if the storage fails the chain is left untouched and the Promise rejects.
+      * The block is appended to the tip of the chain, the caller has to run it in the append queue (see `_enqueue()`
+      * and `_addSignedBlock()`) so the blocks are added one at a time.
       * Note: the symbol `_` in the method name indicates in the javascript convention 
       * that this method is a private method. 
       */
@@ -69,61 +229,390 @@
             try {
                 // set height
                 block.height = self.height + 1;
-                // set timestamp
-                block.time = new Date().getTime().toString().slice(0,-3);
+                // set timestamp, in seconds
+                block.time = parseInt(new Date().getTime().toString().slice(0,-3));
                 if(self.height == -1) { // special genesis block case
                     block.previousBlockHash = null;
                 } else {
                     // set previous block hash
                     block.previousBlockHash = self.chain[self.chain.length-1].hash;
                 }
-                // set current block hash
-                block.hash = SHA256(JSON.stringify(block)).toString();
+                // set current block hash, mining it if proof-of-work is enabled
+                await block.mine(self.getDifficultyForHeight(block.height));
+                // persist the block before exposing it
+                await self.storage.put(block);
                 // push block on to blockchain
                 self.chain.push(block);
                 // update blockchain height
-                this.height += 1;
+                self.height += 1;
+                await self._indexBlock(block);
+                self.emit('block', block, 'local');
                 resolve(block);
             } catch (error) {               
-                Error(error);
+                reject(error);
             }     
             
             
          });
         
      }
+
+     /**
+      * Append a block received from another node. The block is already hashed (and mined),
+      * it is accepted only if it is the next block of the chain and if it is valid.
+      * Resolves with the block added, with null if the chain already has a block at that height,
+      * or rejects if the block doesn't follow the tip of the chain or is invalid.
+      * @param {*} data the block as a plain object
+      */
+     addExternalBlock(data) {
+         let self = this;
+         // The block is compared to the tip of the chain when its turn comes in the append queue
+         return this._enqueue(async () => {
+             self._checkWritable();
+             let block = BlockClass.Block.fromJSON(data);
+             if (block.height <= self.height) {
+                 return null;
+             }
+             if (block.height !== self.height + 1 || block.previousBlockHash !== self.chain[self.height].hash) {
+                 throw new Errors.ConflictError(`The block ${block.hash} doesn't follow the tip of the chain`);
+             }
+             let report = await self._validateBlocks(self.chain.concat([block]), block.height, block.height, self);
+             if (!report.valid) {
+                 let error = new Errors.ValidationError(`The block ${block.hash} is invalid`, report.errors);
+                 error.report = report;
+                 throw error;
+             }
+             // Index the block aside first, the chain is only changed once the block is known to fit in its indexes
+             await self._indexBlock(block, self._createIndexes());
+             await self.storage.put(block);
+             self.chain.push(block);
+             self.height += 1;
+             await self._indexBlock(block);
+             self.emit('block', block, 'peer');
+             return block;
+         });
+     }
+
+     /**
+      * Replace the chain by `blocks` if it is longer and valid (longest valid chain rule),
+      * the storage and the indexes are replaced too. A chain starting from another genesis block is refused,
+      * unless the chain only holds its genesis block (a new node adopts the genesis block of its peers).
+      * Resolves with the validation report of `blocks` or rejects if the chain isn't replaced.
+      * @param {*} blocks the whole candidate chain, plain objects ordered by height
+      */
+     replaceChain(blocks) {
+         let self = this;
+         return new Promise(async (resolve, reject) => {
+             try {
+                 let candidate = blocks.map(data => BlockClass.Block.fromJSON(data));
+                 let checkCandidate = () => {
+                     if (candidate.length <= self.chain.length) {
+                         throw new Errors.ConflictError(`The chain of ${candidate.length} blocks isn't longer than the current chain of ${self.chain.length} blocks`);
+                     }
+                     if (self.chain.length > 1 && candidate[0].hash !== self.chain[0].hash) {
+                         throw new Errors.ConflictError(`The chain starts from the genesis block ${candidate[0].hash}, not ${self.chain[0].hash}`);
+                     }
+                 };
+                 checkCandidate();
+                 let report = await self._validateBlocks(candidate, 0, candidate.length - 1);
+                 if (!report.valid) {
+                     let error = new Errors.ValidationError(`The chain is invalid, first invalid block at height ${report.firstInvalidHeight}`, report.errors);
+                     error.report = report;
+                     return reject(error);
+                 }
+                 // Blocks may have been added while the candidate was validated
+                 await self._enqueue(async () => {
+                     checkCandidate();
+                     await self._replaceChain(candidate, report);
+                 });
+                 resolve(report);
+             } catch (error) {
+                 reject(error);
+             }
+         });
+     }
+
+     /**
+      * Replace the chain, its storage and its indexes by the already validated `candidate` chain.
+      * The caller has to run it in the append queue.
+      * @param {*} candidate array of Block
+      * @param {*} report the validation report of `candidate`, it becomes the last report of the chain
+      */
+     async _replaceChain(candidate, report) {
+         let indexes = this._createIndexes();
+         for (const block of candidate) {
+             await this._indexBlock(block, indexes);
+         }
+         await this.storage.replace(candidate);
+         this.chain = candidate;
+         this.height = candidate.length - 1;
+         Object.assign(this, indexes);
+         this.lastReport = report;
+         this.emit('replaced', this.height);
+     }
+
+     /**
+      * This method will return a Promise that will resolve with a copy of the chain array,
+      * blocks added afterwards aren't in the copy so it can be exported while the chain grows.
+      */
+     exportChain() {
+         let self = this;
+         return new Promise((resolve) => {
+             resolve(self.chain.slice());
+         });
+     }
+
+     /**
+      * Import a chain exported by `GET /chain/export` (see `chainFile.js`) in place of the current chain.
+      * The file is refused if it can't be read, if it is truncated or if a block hash or `previousBlockHash`
+      * link doesn't check; the Promise then rejects with a `ValidationError` whose `report` is the validation
+      * report (see `validateChain()`) including the `parse-error`, `truncated` and `tip-mismatch` errors of the file.
+      * Resolves with the validation report.
+      * @param {*} content the text of the file or the already parsed JSON
+      * @param {*} options `{format, dryRun}` `format` is `json` or `ndjson` (detected by default),
+      * with `dryRun` the file is only checked
+      */
+     importChain(content, options = {}) {
+         let self = this;
+         return new Promise(async (resolve, reject) => {
+             try {
+                 let file = ChainFile.parse(content, options.format);
+                 let errors = file.errors.slice();
+                 let candidate = [];
+                 file.blocks.forEach((data, height) => {
+                     if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+                         errors.push({height: height, line: null, type: 'parse-error', message: `The block ${height} isn't an object`});
+                     } else {
+                         candidate.push(BlockClass.Block.fromJSON(data));
+                     }
+                 });
+                 if (candidate.length === 0 && errors.length === 0) {
+                     errors.push({height: null, line: null, type: 'parse-error', message: 'The file holds no block'});
+                 }
+                 let report = errors.length === 0
+                     ? await self._validateBlocks(candidate, 0, candidate.length - 1)
+                     : {valid: false, height: candidate.length - 1, from: 0, to: candidate.length - 1, checkedBlocks: 0, firstInvalidHeight: null, errors: [], blocks: []};
+                 report.errors = errors.concat(report.errors);
+                 report.valid = report.errors.length === 0;
+                 if (report.firstInvalidHeight === null && !report.valid) {
+                     report.firstInvalidHeight = errors.map(error => error.height).find(height => height !== null);
+                     report.firstInvalidHeight = report.firstInvalidHeight === undefined ? null : report.firstInvalidHeight;
+                 }
+                 if (!report.valid) {
+                     let error = new Errors.ValidationError('The chain file is invalid, it was not imported', report.errors);
+                     error.report = report;
+                     return reject(error);
+                 }
+                 if (!options.dryRun) {
+                     await self._enqueue(() => self._replaceChain(candidate, report));
+                     console.log(`Chain imported, height ${self.height}`);
+                 }
+                 resolve(report);
+             } catch (error) {
+                 reject(error);
+             }
+         });
+     }
  
+     /**
+      * Return empty indexes of the chain:
+      * - `hashIndex` block hash => block
+      * - `ownerIndex` wallet address => Set of the ids of the stars it currently owns
+      * - `starIndex` normalized star coordinates (see `coordinates.js`) => height of the block registering the star
+      * - `ownership` star id => ownership history `[{owner, height, hash, time}]`
+      * - `skyIndex` star id => position `{ra, dec}` in decimal degrees, used by `searchStars()`
+      * - `stories` star id => amendments of its story `[{story, address, height, hash, time}]` (see `amendStar()`)
+      * - `messages` signed message => height of the block that used it, a message can only be used once
+      * The id of a star is the hash of the block registering it, or for a star registered in a batch block
+      * the Merkle leaf hash of its entry (the first item of its history then has the `entry` index in the batch).
+      */
+     _createIndexes() {
+         return {
+             hashIndex: new Map(),
+             ownerIndex: new Map(),
+             starIndex: new Map(),
+             ownership: new Map(),
+             skyIndex: new Map(),
+             stories: new Map(),
+             messages: new Map()
+         };
+     }
+
+     /**
+      * Add the block to the indexes of the chain, called for every block added or loaded from the storage.
+      * Rejects with a `ValidationError` if the body of the block isn't a registration, a batch, a transfer or an amendment,
+      * the indexes are then left untouched.
+      * @param {*} block 
+      * @param {*} indexes the indexes to update, those of the chain by default
+      */
+     async _indexBlock(block, indexes = this) {
+         if (block.height === 0) {
+             indexes.hashIndex.set(block.hash, block);
+             return;
+         }
+         let data = await block.getBData();
+         let problem = bodyProblem(data);
+         if (problem !== null) {
+             throw new Errors.ValidationError(`The block ${block.height} can't be indexed: ${problem}`,
+                 [{height: block.height, hash: block.hash, type: 'invalid-body', message: problem}]);
+         }
+         indexes.hashIndex.set(block.hash, block);
+         (data.type === 'batch' ? data.entries.map(entry => entry.message) : [data.message]).forEach(message => {
+             if (typeof message === 'string' && !indexes.messages.has(message)) {
+                 indexes.messages.set(message, block.height);
+             }
+         });
+         // The time of the version 1 blocks is a string
+         let change = {owner: null, height: block.height, hash: block.hash, time: Number(block.time)};
+         if (data.type === 'transfer') {
+             let history = indexes.ownership.get(data.star);
+             if (history && history[history.length - 1].owner === data.from) {
+                 history.push(Object.assign(change, {owner: data.to}));
+                 indexes.ownerIndex.get(data.from).delete(data.star);
+                 this._addToOwnerIndex(indexes, data.to, data.star);
+             }
+             return;
+         }
+         if (data.type === 'amendment') {
+             let history = indexes.ownership.get(data.star);
+             // Only the owner of the star when the block was added can amend its story
+             if (history && history[history.length - 1].owner === data.address) {
+                 if (!indexes.stories.has(data.star)) {
+                     indexes.stories.set(data.star, []);
+                 }
+                 indexes.stories.get(data.star).push({story: data.story, address: data.address, height: block.height, hash: block.hash, time: change.time});
+             }
+             return;
+         }
+         if (data.type === 'batch') {
+             data.entries.forEach((entry, index) => {
+                 this._indexStar(indexes, Merkle.leafHash(entry), entry, Object.assign({}, change, {entry: index}));
+             });
+             return;
+         }
+         this._indexStar(indexes, block.hash, data, change);
+     }
+
+     /**
+      * Resolves with the wallet addresses a block is about: the owner of the star(s) it registers,
+      * the previous and new owners of a transfer or the owner amending a story. Empty for the genesis block.
+      * @param {*} block
+      */
+     async getBlockAddresses(block) {
+         if (block.height === 0) {
+             return [];
+         }
+         let data = await block.getBData();
+         if (data.type === 'transfer') {
+             return [data.from, data.to];
+         }
+         if (data.type === 'batch') {
+             return Array.from(new Set(data.entries.map(entry => entry.address)));
+         }
+         // A registration or an amendment
+         return [data.address];
+     }
+
+     _indexStar(indexes, starId, registration, change) {
+         let key = Coordinates.starKey(registration.star);
+         if (key !== null && !indexes.starIndex.has(key)) {
+             indexes.starIndex.set(key, change.height);
+         }
+         indexes.ownership.set(starId, [Object.assign(change, {owner: registration.address})]);
+         let position = registration.star ? {ra: Coordinates.raToDegrees(registration.star.ra), dec: Coordinates.decToDegrees(registration.star.dec)} : null;
+         if (position && position.ra !== null && position.dec !== null) {
+             indexes.skyIndex.set(starId, position);
+         }
+         this._addToOwnerIndex(indexes, registration.address, starId);
+     }
+
+     _addToOwnerIndex(indexes, address, starId) {
+         if (!indexes.ownerIndex.has(address)) {
+             indexes.ownerIndex.set(address, new Set());
+         }
+         indexes.ownerIndex.get(address).add(starId);
+     }
+
+     /**
+      * Rebuild the indexes from the blocks of the chain and compare them with the indexes
+      * maintained by `_addBlock`. Resolves with the list of `index-mismatch` errors.
+      */
+     async _verifyIndexes() {
+         let expected = this._createIndexes();
+         for (const block of this.chain) {
+             await this._indexBlock(block, expected);
+         }
+         // Comparable form of an index: sorted entries, blocks replaced by their height and Sets by sorted arrays
+         const snapshot = (index) => JSON.stringify(Array.from(index.entries()).map(([key, value]) => {
+             if (value instanceof BlockClass.Block) {
+                 value = value.height;
+             } else if (value instanceof Set) {
+                 value = Array.from(value).sort();
+             }
+             return [key, value];
+         }).sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0)));
+         let errors = [];
+         Object.keys(expected).forEach(name => {
+             if (snapshot(expected[name]) !== snapshot(this[name])) {
+                 errors.push({height: null, hash: null, type: 'index-mismatch', message: `The ${name} doesn't match the blocks of the chain`});
+             }
+         });
+         return errors;
+     }
+
      /**
       * The requestMessageOwnershipVerification(address) method
       * will allow you  to request a message that you will use to
       * sign it with your Bitcoin Wallet (Electrum or Bitcoin Core)
       * This is the first step before submit your Block.
-      * The method return a Promise that will resolve with the message to be signed
+      * The method return a Promise that will resolve with the message to be signed,
+      * the message is remembered so it can only be used once and until it expires.
       * @param {*} address 
       */
      requestMessageOwnershipVerification(address) {
+         let self = this;
          return new Promise((resolve) => {
              // message format
-             // <WALLET_ADDRESS>:${new Date().getTime().toString().slice(0,-3)}:starRegistry
-             var message = `${address}:${new Date().getTime().toString().slice(0,-3)}:starRegistry`;
+             // <WALLET_ADDRESS>:${new Date().getTime().toString().slice(0,-3)}:starRegistry:<nonce>
+             var message = self.challenges.issue(address, 'starRegistry').message;
              console.log('requestMessageOwnership: ' + message);   
              resolve(message);
          });
          
      }
+
+     /**
+      * This method will return a Promise that will resolve with the messages issued to `address`
+      * that can still be used: `[{message, type, issuedAt, expiresAt, remainingSeconds}]`
+      * @param {*} address 
+      */
+     getPendingVerifications(address) {
+         let self = this;
+         return new Promise((resolve) => {
+             resolve(self.challenges.pending(address).map(challenge => ({
+                 message: challenge.message,
+                 type: challenge.type,
+                 issuedAt: challenge.issuedAt,
+                 expiresAt: challenge.expiresAt,
+                 remainingSeconds: challenge.remainingSeconds
+             })));
+         });
+     }
  
      /**
      * The submitStar(address, message, signature, star) method
      * will allow users to register a new Block with the star object
      * into the chain. This method will resolve with the Block added or
-     * reject with an error.
+     * reject with an error (see `errors.js`).
      * Algorithm steps:
-     * 1. Get the time from the message sent as a parameter example: `parseInt(message.split(':')[1])`
-     * 2. Get the current time: `let currentTime = parseInt(new Date().getTime().toString().slice(0, -3));`
-     * 3. Check if the time elapsed is less than 5 minutes
-     * 4. Veify the message with wallet address and signature: `bitcoinMessage.verify(message, address, signature)`
-     * 5. Create the block and add it to the chain
-     * 6. Resolve with the block added.
+     * 1. Check the message was issued to the address by `requestMessageOwnershipVerification` and wasn't used yet
+     * 2. Check the message hasn't expired (5 minutes by default)
+     * 3. Veify the message with wallet address and signature: `Signatures.verify(message, address, signature)`,
+     *    the signature scheme of the address (`p2pkh`, `p2sh-p2wpkh`, `p2wpkh` or `ethereum`) is recorded in the block `scheme`
+     * 4. Create the block and add it to the chain, the message can't be used again once the block is added
+     * 5. Resolve with the block added.
+     * The star is rejected with a `ValidationError` if it doesn't match the star schema (see `starSchema.js`)
+     * and with a `ConflictError` if a star with the same coordinates is already registered.
      * @param {*} address 
      * @param {*} message 
      * @param {*} signature 
@@ -133,72 +622,419 @@
         let self = this;
         
         return new Promise(async (resolve, reject) => {
-            // 1. Get the time from the message sent as a parameter example: `parseInt(message.split(':')[1])`
-            let timeOfSubmission = parseInt(message.split(':')[1]);
-            // 2. Get the current time: `let currentTime = parseInt(new Date().getTime().toString().slice(0, -3));`
-            let currentTime = parseInt(new Date().getTime().toString().slice(0, -3));
-            // 3. Check if the time elapsed is less than 5 minutes
-            var delaie = currentTime - timeOfSubmission;
-            console.log("Delais = ", delaie);
-            var BooMessageVerified = false; //We going to need this to detect if message is verified
-            if( delaie < 300 ){
-                console.log("Request within 5 minutes");
-                // 4. Verify the message with wallet address and signature: `bitcoinMessage.verify(message, address, signature)`
-                try {
-                    BooMessageVerified = bitcoinMessage.verify(message, address, signature) ;
-                 } catch (error) {               
-                    Error(error);
-                 }     
-                
-                // 5. If the message is verified: Create the block and add it to the chain or advise there was a problem verifying message
-                if(BooMessageVerified == true){
-                    //Create the block
-                    console.log("Message verified!: ", BooMessageVerified );
-                    let blockData = {address: address, message: message, signature: signature, star: star};
-                    let blockToPush = new BlockClass.Block(blockData);
-                    
-                    // 6. Resolve with the block added.
-                    try {
-                        await this._addBlock(blockToPush); //await to make sure to operation is complete
-
-                        //execute the validateChain() function every time a block is added
-                        var blockchain_valide_boo = await this.validateChain();
-                        console.log(blockchain_valide_boo);
-                        if(blockchain_valide_boo == true){
-                            console.log(`La blockchain est valide: ${blockchain_valide_boo}`);
-                            //Resolve with the block added.
-                            resolve(blockToPush);
-                        }else{
-                            console.log(`La blockchain n'est pas valide: ${blockchain_valide_boo}`);
-                            reject(blockToPush);
-                        }                       
-                     } catch (error) {               
-                        Error(error);
-                     }                 
-                    
-                }else{
-                    console.log("Message not verified :( : ", BooMessageVerified );
-                    reject("There was a error verifiyng your message.");
-                    
+            try {
+                let starErrors = StarSchema.validateStar(star);
+                if(starErrors.length > 0){
+                    return reject(new Errors.ValidationError("The star is invalid", starErrors));
                 }
-            }else{
-                reject("The 5 minute delay has been reached");
-                
-            }           
-
+                // 1 to 3. Check the message was issued to the address, hasn't expired and is signed by the wallet address
+                let scheme = await self._verifySignedMessage(address, message, signature, 'starRegistry');
+                // 4. Create the block and add it to the chain, unless the star is already registered
+                self._checkStarsAvailable([star]);
+                let blockData = {address: address, message: message, signature: signature, scheme: scheme, star: star};
+                let blockToPush = new BlockClass.Block(blockData);
+                // 5. Resolve with the block added, the star is checked again in the append queue
+                resolve(await self._addSignedBlock(message, blockToPush, () => self._checkStarsAvailable([star])));
+            } catch (error) {
+                reject(error);
+            }
         });
     }
+
+     /**
+      * The submitStars(registrations) method registers several stars in a single block.
+      * Each registration is `{address, message, signature, star}` and is checked like in `submitStar`,
+      * its entry in the block also records the signature `scheme`,
+      * the whole batch is rejected if one of them is invalid. The block body is `{type: 'batch', entries}`
+      * and the block header records the Merkle root of the entries (see `Block.createBatch`).
+      * Resolves with the block added or rejects with an error.
+      * @param {*} registrations array of at most `MAX_BATCH_SIZE` registrations
+      */
+     submitStars(registrations) {
+         let self = this;
+         return new Promise(async (resolve, reject) => {
+             try {
+                 if (!Array.isArray(registrations) || registrations.length === 0 || registrations.length > MAX_BATCH_SIZE) {
+                     throw new Errors.ValidationError("The stars are invalid",
+                         [{field: 'stars', message: `stars should be an array of 1 to ${MAX_BATCH_SIZE} registrations`}]);
+                 }
+                 let errors = [];
+                 let entries = registrations.map((registration, index) => {
+                     registration = registration || {};
+                     ['address', 'message', 'signature'].forEach(field => {
+                         if (typeof registration[field] !== 'string' || registration[field] === '') {
+                             errors.push({field: `stars[${index}].${field}`, message: `${field} is required`});
+                         }
+                     });
+                     StarSchema.validateStar(registration.star).forEach(error => {
+                         errors.push({field: `stars[${index}].${error.field}`, message: error.message});
+                     });
+                     return {address: registration.address, message: registration.message, signature: registration.signature, star: registration.star};
+                 });
+                 if (errors.length > 0) {
+                     throw new Errors.ValidationError("The stars are invalid", errors);
+                 }
+                 for (const entry of entries) {
+                     entry.scheme = await self._verifySignedMessage(entry.address, entry.message, entry.signature, 'starRegistry');
+                 }
+                 let stars = entries.map(entry => entry.star);
+                 self._checkStarsAvailable(stars);
+                 let block = BlockClass.Block.createBatch(entries);
+                 resolve(await self._addSignedBlock(entries.map(entry => entry.message), block, () => self._checkStarsAvailable(stars)));
+             } catch (error) {
+                 reject(error);
+             }
+         });
+     }
+
+     /**
+      * Throw a `ConflictError` if one of `stars` is already registered or if two of them have the same coordinates.
+      * @param {*} stars 
+      */
+     _checkStarsAvailable(stars) {
+         let keys = new Set();
+         stars.forEach(star => {
+             let starKey = Coordinates.starKey(star);
+             if (starKey === null) {
+                 return;
+             }
+             if (this.starIndex.has(starKey)) {
+                 throw new Errors.ConflictError(`A star with the coordinates ra ${star.ra} dec ${star.dec} is already registered in the block ${this.starIndex.get(starKey)}`);
+             }
+             if (keys.has(starKey)) {
+                 throw new Errors.ConflictError(`The star with the coordinates ra ${star.ra} dec ${star.dec} is submitted twice`);
+             }
+             keys.add(starKey);
+         });
+     }
+
+     /**
+      * Check that `message` is an unused `type` message issued to the wallet `address`,
+      * that it hasn't expired and that it is signed by the wallet (see `signatures.js`).
+      * Resolves with the signature scheme or rejects with the reason the message isn't accepted:
+      * a `ChallengeError` for an unknown or expired message, a `SignatureError` when the signature doesn't match the address.
+      * @param {*} address 
+      * @param {*} message 
+      * @param {*} signature 
+      * @param {*} type `starRegistry`, `starTransfer`...
+      */
+     _verifySignedMessage(address, message, signature, type) {
+         let self = this;
+         return new Promise((resolve, reject) => {
+             let challenge = self.challenges.get(message);
+             if (challenge === null || challenge.address !== address || challenge.type !== type) {
+                 return reject(new Errors.ChallengeError(`This message wasn't issued to ${address} or has already been used, request a new one`, 'unknown'));
+             }
+             if (self.challenges.isExpired(challenge)) {
+                 return reject(new Errors.ChallengeError(`The message has expired (after ${self.challenges.validityWindow} seconds), request a new one`, 'expired'));
+             }
+             try {
+                 resolve(Signatures.verify(message, address, signature));
+             } catch (error) {
+                 reject(error);
+             }
+         });
+     }
+
+     /**
+      * Use the signed message(s) then add the block to the chain and validate the whole chain.
+      * Resolves with the block added or rejects if a message was already used, if the block
+      * couldn't be added (the messages can then be used again) or if the chain is invalid after adding it.
+      * The messages are used and the block added in the append queue, where `check` runs first: it throws
+      * if the block conflicts with a block added since the request was checked (e.g. the same star submitted twice at once).
+      * @param {*} messages a message or an array of messages
+      * @param {*} block 
+      * @param {*} check optional function throwing if the block can't be added to the current chain
+      */
+     async _addSignedBlock(messages, block, check = () => {}) {
+         await this._enqueue(async () => {
+             this._checkWritable();
+             check();
+             let consumed = [];
+             for (const message of [].concat(messages)) {
+                 let challenge = this.challenges.get(message);
+                 if (!this.challenges.consume(message)) {
+                     consumed.forEach(used => this.challenges.restore(used));
+                     throw new Errors.ChallengeError("This message has already been used, request a new one", 'used');
+                 }
+                 consumed.push(challenge);
+             }
+             try {
+                 await this._addBlock(block);
+             } catch (error) {
+                 consumed.forEach(used => this.challenges.restore(used));
+                 throw error;
+             }
+         });
+         //execute the validateChain() function every time a block is added
+         let report = await this.validateChain();
+         if (!report.valid) {
+             throw new Errors.InternalError(`The block was added but the chain is invalid from height ${report.firstInvalidHeight}`);
+         }
+         return block;
+     }
+
+     /**
+      * The requestTransferVerification(address, starHash, newOwner) method returns the message
+      * the current owner of a star has to sign with its wallet to transfer the star to `newOwner`.
+      * Message format: `<WALLET_ADDRESS>:<time>:starTransfer:<STAR_BLOCK_HASH>:<NEW_OWNER_ADDRESS>:<nonce>`
+      * The star is identified by the hash of the block that registered it.
+      * @param {*} address current owner
+      * @param {*} starHash 
+      * @param {*} newOwner 
+      */
+     requestTransferVerification(address, starHash, newOwner) {
+         let self = this;
+         return new Promise((resolve, reject) => {
+             try {
+                 self._checkTransfer(address, starHash, newOwner);
+             } catch (error) {
+                 return reject(error);
+             }
+             resolve(self.challenges.issue(address, 'starTransfer', [starHash, newOwner]).message);
+         });
+     }
+
+     /**
+      * The transferStar(address, message, signature) method adds a transfer block to the chain,
+      * `message` is the message returned by `requestTransferVerification` signed by the current owner.
+      * The block body is `{type: 'transfer', star, from, to, message, signature, scheme}`.
+      * Resolves with the block added or rejects with an error.
+      * @param {*} address current owner
+      * @param {*} message 
+      * @param {*} signature 
+      */
+     transferStar(address, message, signature) {
+         let self = this;
+         return new Promise(async (resolve, reject) => {
+             try {
+                 let scheme = await self._verifySignedMessage(address, message, signature, 'starTransfer');
+                 let [, , , starHash, newOwner] = message.split(':');
+                 self._checkTransfer(address, starHash, newOwner);
+                 let blockData = {type: 'transfer', star: starHash, from: address, to: newOwner, message: message, signature: signature, scheme: scheme};
+                 // The owner may have changed by the time the block is added
+                 resolve(await self._addSignedBlock(message, new BlockClass.Block(blockData), () => self._checkTransfer(address, starHash, newOwner)));
+             } catch (error) {
+                 reject(error);
+             }
+         });
+     }
+
+     /**
+      * Throw if `address` can't transfer the star to `newOwner`.
+      * @param {*} address 
+      * @param {*} starHash 
+      * @param {*} newOwner 
+      */
+     _checkTransfer(address, starHash, newOwner) {
+         let history = this.ownership.get(starHash);
+         if (!history) {
+             throw new Errors.NotFoundError(`There is no star with the id ${starHash}`);
+         }
+         if (history[history.length - 1].owner !== address) {
+             throw new Errors.ForbiddenError(`The star ${starHash} isn't owned by ${address}`);
+         }
+         if (typeof newOwner !== 'string' || newOwner === '' || newOwner.includes(':')) {
+             throw new Errors.ValidationError(`Invalid new owner address ${newOwner}`, [{field: 'to', message: 'to should be a wallet address'}]);
+         }
+         try {
+             // The new owner has to be able to sign messages to use the star
+             Signatures.parseAddress(newOwner);
+         } catch (error) {
+             throw new Errors.ValidationError(`Invalid new owner address: ${error.message}`, [{field: 'to', message: error.message}]);
+         }
+         if (newOwner === address) {
+             throw new Errors.ConflictError(`The star ${starHash} is already owned by ${address}`);
+         }
+     }
+
+     /**
+      * The requestAmendmentVerification(address, starHash, story) method returns the message
+      * the owner of a star has to sign with its wallet to replace the story of the star by `story`.
+      * Message format: `<WALLET_ADDRESS>:<time>:starAmendment:<STAR_HASH>:<STORY_HASH>:<nonce>`
+      * where `STORY_HASH` is the SHA256 of the new story, so the signature covers the story.
+      * @param {*} address owner of the star
+      * @param {*} starHash 
+      * @param {*} story the new story
+      */
+     requestAmendmentVerification(address, starHash, story) {
+         let self = this;
+         return new Promise((resolve, reject) => {
+             try {
+                 self._checkAmendment(address, starHash, story);
+             } catch (error) {
+                 return reject(error);
+             }
+             resolve(self.challenges.issue(address, 'starAmendment', [starHash, hashStory(story)]).message);
+         });
+     }
+
+     /**
+      * The amendStar(address, message, signature, story) method adds an amendment block replacing the story of a star,
+      * `message` is the message returned by `requestAmendmentVerification` for this story, signed by the owner.
+      * The block body is `{type: 'amendment', star, address, story, message, signature, scheme}`, the registration
+      * block is left untouched: the stars are read with their latest story and `getStarStoryHistory` returns every version.
+      * Resolves with the block added or rejects with an error.
+      * @param {*} address owner of the star
+      * @param {*} message 
+      * @param {*} signature 
+      * @param {*} story the new story
+      */
+     amendStar(address, message, signature, story) {
+         let self = this;
+         return new Promise(async (resolve, reject) => {
+             try {
+                 let scheme = await self._verifySignedMessage(address, message, signature, 'starAmendment');
+                 let [, , , starHash, storyHash] = message.split(':');
+                 if (storyHash !== hashStory(story)) {
+                     throw new Errors.ValidationError("The story isn't the one the message was requested for",
+                         [{field: 'story', message: 'story should be the story given to requestAmendmentValidation'}]);
+                 }
+                 self._checkAmendment(address, starHash, story);
+                 let blockData = {type: 'amendment', star: starHash, address: address, story: story, message: message, signature: signature, scheme: scheme};
+                 // The star may have been transferred by the time the block is added
+                 resolve(await self._addSignedBlock(message, new BlockClass.Block(blockData), () => self._checkAmendment(address, starHash, story)));
+             } catch (error) {
+                 reject(error);
+             }
+         });
+     }
+
+     /**
+      * Throw if `address` can't replace the story of the star `starHash` by `story`.
+      * @param {*} address 
+      * @param {*} starHash 
+      * @param {*} story 
+      */
+     _checkAmendment(address, starHash, story) {
+         let history = this.ownership.get(starHash);
+         if (!history) {
+             throw new Errors.NotFoundError(`There is no star with the id ${starHash}`);
+         }
+         if (history[history.length - 1].owner !== address) {
+             throw new Errors.ForbiddenError(`The star ${starHash} isn't owned by ${address}`);
+         }
+         let storyErrors = StarSchema.validateStory(story);
+         if (storyErrors.length > 0) {
+             throw new Errors.ValidationError("The story is invalid", storyErrors);
+         }
+     }
+
+     /**
+      * Resolves with the registration `{address, message, signature, scheme, star, storyVersion}` of the star `starId`,
+      * the `story` of the star is the latest one and `storyVersion` its version (1 for the story of the registration,
+      * see `getStarStoryHistory()`).
+      * @param {*} starId 
+      */
+     async _getStarRegistration(starId) {
+         let registration = this.ownership.get(starId)[0];
+         let data = await this.chain[registration.height].getBData();
+         let result = Object.assign({}, registration.entry === undefined ? data : data.entries[registration.entry]);
+         let amendments = this.stories.get(starId) || [];
+         if (amendments.length > 0) {
+             result.star = Object.assign({}, result.star, {story: amendments[amendments.length - 1].story});
+         }
+         result.storyVersion = amendments.length + 1;
+         return result;
+     }
+
+     /**
+      * This method will return a Promise that will resolve with the proof that a star registered in a batch block
+      * is part of that block: `{starId, entry, index, proof, merkleRoot, blockHash, header}` where `proof` is the
+      * Merkle proof of the leaf `starId` (the hash of `entry`) and `header` the block header hashing to `blockHash`
+      * (see `Block.getHeader()`). Rejects with a `NotFoundError` for an unknown star or a star registered alone in its block.
+      * @param {*} starId 
+      */
+     getStarProof(starId) {
+         let self = this;
+         return new Promise(async (resolve, reject) => {
+             try {
+                 let history = self.ownership.get(starId);
+                 if (!history) {
+                     throw new Errors.NotFoundError(`There is no star with the id ${starId}`);
+                 }
+                 let block = self.chain[history[0].height];
+                 if (history[0].entry === undefined) {
+                     throw new Errors.NotFoundError(`The star ${starId} is registered alone in the block ${block.height}, there is no Merkle proof, the block hash covers its body`);
+                 }
+                 let entries = (await block.getBData()).entries;
+                 let leaves = entries.map(Merkle.leafHash);
+                 resolve({
+                     starId: starId,
+                     entry: entries[history[0].entry],
+                     index: history[0].entry,
+                     proof: Merkle.merkleProof(leaves, history[0].entry),
+                     merkleRoot: block.merkleRoot,
+                     blockHash: block.hash,
+                     header: block.getHeader()
+                 });
+             } catch (error) {
+                 reject(error);
+             }
+         });
+     }
+
+     /**
+      * This method will return a Promise that will resolve with the ownership history of a star,
+      * from the registration to the current owner: `[{owner, height, hash, time}]`
+      * where `height`, `hash` and `time` are those of the block that gave the star to `owner`.
+      * Resolves with null if there is no star registered in the block `starHash`.
+      * @param {*} starHash id of the star (see `_createIndexes()`)
+      */
+     getStarOwnershipHistory(starHash) {
+         let self = this;
+         return new Promise((resolve) => {
+             let history = self.ownership.get(starHash);
+             resolve(history ? history.slice() : null);
+         });
+     }
  
+     /**
+      * This method will return a Promise that will resolve with every version of the story of a star, the oldest first:
+      * `[{version, story, address, message, signature, scheme, height, hash, time}]` where version 1 is the story of the
+      * registration and the next ones the amendments, with the signed message and the block that recorded each of them.
+      * Resolves with null if there is no star registered in the block `starHash`.
+      * @param {*} starHash id of the star (see `_createIndexes()`)
+      */
+     getStarStoryHistory(starHash) {
+         let self = this;
+         return new Promise(async (resolve, reject) => {
+             try {
+                 let history = self.ownership.get(starHash);
+                 if (!history) {
+                     return resolve(null);
+                 }
+                 let registration = history[0];
+                 let data = await self.chain[registration.height].getBData();
+                 let entry = registration.entry === undefined ? data : data.entries[registration.entry];
+                 let versions = [{
+                     story: entry.star.story, address: entry.address, message: entry.message, signature: entry.signature,
+                     scheme: entry.scheme, height: registration.height, hash: registration.hash, time: registration.time
+                 }];
+                 for (const amendment of self.stories.get(starHash) || []) {
+                     let amendmentData = await self.chain[amendment.height].getBData();
+                     versions.push({
+                         story: amendment.story, address: amendment.address, message: amendmentData.message, signature: amendmentData.signature,
+                         scheme: amendmentData.scheme, height: amendment.height, hash: amendment.hash, time: amendment.time
+                     });
+                 }
+                 resolve(versions.map((version, index) => Object.assign({version: index + 1}, version)));
+             } catch (error) {
+                 reject(error);
+             }
+         });
+     }
+
      /**
       * This method will return a Promise that will resolve with the Block
       *  with the hash passed as a parameter.
-      * Search on the chain array for the block that has the hash.
+      * The block is read from the hash index of the chain.
       * @param {*} hash 
       */
      getBlockByHash(hash) {
          let self = this;
          return new Promise((resolve, reject) => {
-            let block = self.chain.find(p => p.hash == hash);
+            let block = self.hashIndex.get(hash);
             if(block) {
                 resolve(block);
             } else {
@@ -216,7 +1052,7 @@
      getBlockByHeight(height) {
          let self = this;
          return new Promise((resolve, reject) => {
-             let block = self.chain.filter(p => p.height === height)[0];
+             let block = self.chain[height];
              if(block){
                  resolve(block);
              } else {
@@ -225,93 +1061,528 @@
          });
      }
  
+     /**
+      * This method will return a Promise that will resolve with the last block of the chain.
+      */
+     getLatestBlock() {
+         let self = this;
+         return new Promise((resolve) => {
+             resolve(self.chain[self.height] || null);
+         });
+     }
+
+     /**
+      * This method will return a Promise that will resolve with a summary of the chain:
+      * `{name, height, tipHash, genesisHash, difficulty, valid}` where `difficulty` is the proof-of-work
+      * difficulty of the next block. The chain isn't validated again: `valid` is the result of the last validation
+      * of the whole chain (see `validateChain()`, the integrity monitor runs it regularly) and of a check of the tip,
+      * the blocks added since then being validated when they are added.
+      */
+     getChainInfo() {
+         let self = this;
+         return new Promise(async (resolve, reject) => {
+             try {
+                 let tip = self.chain[self.height];
+                 let valid = (self.lastReport === null || self.lastReport.valid) && (!tip || await tip.validate());
+                 resolve({
+                     name: self.name,
+                     height: self.height,
+                     tipHash: self.height >= 0 ? self.chain[self.height].hash : null,
+                     genesisHash: self.height >= 0 ? self.chain[0].hash : null,
+                     difficulty: self.getDifficultyForHeight(self.height + 1),
+                     valid: valid
+                 });
+             } catch (error) {
+                 reject(error);
+             }
+         });
+     }
+
+     /**
+      * This method will return a Promise that will resolve with a page of blocks, each block
+      * is returned with its decoded body in `data`.
+      * With the `asc` order the page starts at the height `from` (0 by default) and goes up to `to` (the chain height by default),
+      * with the `desc` order it starts at `from` (the chain height by default) and goes down to `to` (0 by default).
+      * Resolves with `{order, limit, blocks, next}` where `next` is the `from` of the next page, or null on the last page.
+      * @param {*} options `{from, to, limit, order}`, at most `MAX_PAGE_SIZE` blocks per page
+      */
+     getBlocks(options = {}) {
+         let self = this;
+         return new Promise(async (resolve, reject) => {
+             try {
+                 let order = options.order || 'asc';
+                 let limit = options.limit === undefined ? DEFAULT_PAGE_SIZE : options.limit;
+                 if (order !== 'asc' && order !== 'desc') {
+                     throw new Errors.ValidationError(`Invalid order ${order}, use asc or desc`, [{field: 'order', message: 'order should be asc or desc'}]);
+                 }
+                 if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+                     throw new Errors.ValidationError(`Invalid limit ${options.limit}, it should be between 1 and ${MAX_PAGE_SIZE}`, [{field: 'limit', message: `limit should be between 1 and ${MAX_PAGE_SIZE}`}]);
+                 }
+                 let step = order === 'asc' ? 1 : -1;
+                 let from = options.from === undefined ? (order === 'asc' ? 0 : self.height) : options.from;
+                 let to = options.to === undefined ? (order === 'asc' ? self.height : 0) : options.to;
+                 // Stay inside the chain
+                 from = order === 'asc' ? Math.max(from, 0) : Math.min(from, self.height);
+                 to = order === 'asc' ? Math.min(to, self.height) : Math.max(to, 0);
+                 let blocks = [];
+                 let height = from;
+                 while (blocks.length < limit && (height - to) * step <= 0) {
+                     let block = self.chain[height];
+                     blocks.push(Object.assign({}, block, {data: await block.getBData()}));
+                     height += step;
+                 }
+                 resolve({
+                     order: order,
+                     limit: limit,
+                     blocks: blocks,
+                     next: (height - to) * step <= 0 ? height : null
+                 });
+             } catch (error) {
+                 reject(error);
+             }
+         });
+     }
+
     /**
      * This method will return a Promise that will resolve with an array of Stars objects existing in the chain 
      * and are belongs to the owner with the wallet address passed as parameter.
      * Remember the star should be returned decoded.
+     * Stars transferred to the address are included, stars it transferred to someone else aren't.
+     * Each star is the registration `{address, message, signature, scheme, star}` (the decoded body of the block, or its entry
+     * for a batch block) plus its current `owner`, its id in `starHash` and the `height` of the block that registered it
+     * (for a batch block `starHash` isn't a block hash).
      * @param {*} address 
      */
      getStarsByWalletAddress (address) {
         let self = this;
-        let stars = [];
-        let currentBlockUncripted = []; //We are going to need this as a tampon when we go trought the blockchain
-        return new Promise((resolve, reject) => {
-
-                    //Go trought blockchain to find matching wallet adress, and get star information
-                    self.chain.forEach(async(block) => { //This needs to be async because we will need time to get all block infos
-                        //find out if the block matches the requested wallet adrress
-                        //Get block infos uncripted to get wallet# related to this block
-                        currentBlockUncripted =   await block.getBData();  //await neccessary to give the time to the app to complete the getBData request               
-                        console.log(currentBlockUncripted);
-                        //Skip genesis block
-                        if(block.height == 0){
-                            console.log('Genesis block NVM');
-                        }else if(currentBlockUncripted.address === address ){//if wallet adress match request
-                            stars.push(currentBlockUncripted);
-                        }else {
-                            console.log('wallet adress dosent match');
-                        }
-                        currentBlockUncripted = []; //Clear clock data
-                                       
-
-                }); 
-                resolve(stars);  // Display block info          
-                
+        return new Promise(async (resolve, reject) => {
+            try {
+                let stars = [];
+                //Only decode the blocks of the stars currently owned by the wallet address
+                for (const starId of self.ownerIndex.get(address) || []) {
+                    let height = self.ownership.get(starId)[0].height;
+                    stars.push(Object.assign(await self._getStarRegistration(starId), {owner: address, starHash: starId, height: height}));
+                }
+                resolve(stars.sort((a, b) => a.height - b.height));
+            } catch (error) {
+                reject(error);
+            }
         });
     }
  
      /**
-      * This method will return a Promise that will resolve with the list of errors when validating the chain.
+      * Search the registered stars by position and by story. Every criterion given must match:
+      * - box: `raMin`, `raMax` (hours) and/or `decMin`, `decMax` (degrees), when `raMin` is greater
+      *   than `raMax` the box crosses 0h (e.g. from 23h to 1h)
+      * - cone: `ra` (hours), `dec` (degrees) and `radius` (degrees) all together, the stars are then sorted by distance
+      * - `q`: words that must all appear in the story, ignoring case and accents
+      * Coordinates are read like those of the stars (`16h 29m 1.0s`, `-26° 25' 55.2`, `16.48`...).
+      * Resolves with `{total, limit, stars}` where each star is `{starHash, owner, height, ra, dec, star}`
+      * (`ra` and `dec` in decimal degrees, plus `distance` in degrees for a cone search),
+      * or rejects with a `ValidationError` listing the invalid parameters.
+      * @param {*} query the parameters above and `limit` (at most `MAX_PAGE_SIZE`, the default)
+      */
+     searchStars(query = {}) {
+         let self = this;
+         return new Promise(async (resolve, reject) => {
+             try {
+                 let criteria = self._parseSearch(query);
+                 let matches = [];
+                 for (const [starId, history] of self.ownership) {
+                     let position = self.skyIndex.get(starId) || null;
+                     let distance = null;
+                     if (criteria.needsPosition && position === null) {
+                         continue;
+                     }
+                     if (criteria.ra && !inRange(position.ra, criteria.ra)) {
+                         continue;
+                     }
+                     if (criteria.dec && (position.dec < criteria.dec.min || position.dec > criteria.dec.max)) {
+                         continue;
+                     }
+                     if (criteria.cone) {
+                         distance = Coordinates.angularDistance(criteria.cone.ra, criteria.cone.dec, position.ra, position.dec);
+                         if (distance > criteria.cone.radius) {
+                             continue;
+                         }
+                     }
+                     // Only decode the blocks of the stars that matched the position
+                     let registration = await self._getStarRegistration(starId);
+                     if (criteria.words.length > 0) {
+                         let story = normalizeText(registration.star && registration.star.story);
+                         if (!criteria.words.every(word => story.includes(word))) {
+                             continue;
+                         }
+                     }
+                     let match = {
+                         starHash: starId,
+                         owner: history[history.length - 1].owner,
+                         height: history[0].height,
+                         ra: position ? position.ra : null,
+                         dec: position ? position.dec : null,
+                         star: registration.star
+                     };
+                     if (criteria.cone) {
+                         match.distance = distance;
+                     }
+                     matches.push(match);
+                 }
+                 matches.sort(criteria.cone ? (a, b) => a.distance - b.distance : (a, b) => a.height - b.height);
+                 resolve({total: matches.length, limit: criteria.limit, stars: matches.slice(0, criteria.limit)});
+             } catch (error) {
+                 reject(error);
+             }
+         });
+
+         function inRange(ra, range) {
+             return range.min <= range.max ? ra >= range.min && ra <= range.max : ra >= range.min || ra <= range.max;
+         }
+     }
+
+     /**
+      * Read the parameters of `searchStars()`, throws a `ValidationError` listing the invalid ones.
+      * @param {*} query
+      */
+     _parseSearch(query) {
+         let errors = [];
+         const given = (field) => query[field] !== undefined && query[field] !== '';
+         const read = (field, parse, min, max, unit) => {
+             let value = parse(query[field]);
+             if (value === null || value < min || value > max) {
+                 errors.push({field: field, message: `${field} should be ${unit}`});
+             }
+             return value;
+         };
+         const readRa = (field) => read(field, Coordinates.raToDegrees, 0, 360, 'a right ascension between 0h and 24h');
+         const readDec = (field) => read(field, Coordinates.decToDegrees, -90, 90, 'a declination between -90° and 90°');
+         let criteria = {ra: null, dec: null, cone: null, words: [], limit: MAX_PAGE_SIZE, needsPosition: false};
+         if (given('raMin') || given('raMax')) {
+             criteria.ra = {min: given('raMin') ? readRa('raMin') : 0, max: given('raMax') ? readRa('raMax') : 360};
+         }
+         if (given('decMin') || given('decMax')) {
+             criteria.dec = {min: given('decMin') ? readDec('decMin') : -90, max: given('decMax') ? readDec('decMax') : 90};
+             if (errors.length === 0 && criteria.dec.min > criteria.dec.max) {
+                 errors.push({field: 'decMin', message: 'decMin should be lower than decMax'});
+             }
+         }
+         let cone = ['ra', 'dec', 'radius'].filter(given);
+         if (cone.length > 0 && cone.length < 3) {
+             errors.push({field: 'radius', message: 'A cone search needs ra, dec and radius'});
+         } else if (cone.length === 3) {
+             criteria.cone = {
+                 ra: readRa('ra'),
+                 dec: readDec('dec'),
+                 radius: read('radius', value => (Number.isFinite(Number(value)) ? Number(value) : null), 0, 180, 'a number of degrees between 0 and 180')
+             };
+         }
+         if (given('q')) {
+             criteria.words = normalizeText(query.q).split(/\s+/).filter(word => word !== '');
+         }
+         if (given('limit')) {
+             criteria.limit = Number(query.limit);
+             if (!Number.isInteger(criteria.limit) || criteria.limit < 1 || criteria.limit > MAX_PAGE_SIZE) {
+                 errors.push({field: 'limit', message: `limit should be between 1 and ${MAX_PAGE_SIZE}`});
+             }
+         }
+         if (errors.length > 0) {
+             throw new Errors.ValidationError('Invalid search parameters', errors);
+         }
+         criteria.needsPosition = criteria.ra !== null || criteria.dec !== null || criteria.cone !== null;
+         return criteria;
+     }
+
+     /**
+      * This method will return a Promise that will resolve with a validation report of the chain.
       * Steps to validate:
       * 1. You should validate each block using `validateBlock`
       * 2. Each Block should check the with the previousBlockHash
+      * The report is a plain object that can be sent as JSON:
+      * `{valid, height, from, to, checkedBlocks, firstInvalidHeight, errors, blocks, startedAt, durationMs}`
+      * where `errors` is a list of `{height, hash, type, message}` and `type` is one of
+      * `hash-mismatch` (the block content doesn't match its hash), `broken-link` (the `previousBlockHash`
+      * doesn't match the hash of the previous block), `height-mismatch` (the block isn't stored at its height)
+      * `insufficient-difficulty` (the hash doesn't meet the proof-of-work difficulty scheduled for its height)
+      * `merkle-mismatch` (the Merkle root of a batch block doesn't match its entries or an entry is repeated)
+      * `invalid-body` (the body of the block isn't an object, or a batch block has no array of entries),
+      * `invalid-registration` (a star registration isn't signed by its address, see `_verifyRegistration`),
+      * `duplicate-star` (a version 2 block registers a star already registered, see `_findDuplicates`),
+      * `reused-message` (a version 2 block uses a signed message already used),
+      * `invalid-transfer` (a transfer isn't signed by the owner of the star for that new owner, see `_verifyTransfer`),
+      * `invalid-amendment` (a story amendment isn't signed by the owner of the star for that story, see `_verifyAmendment`),
+      * `invalid-fields` (a field doesn't have the type required by the version of the block, see `Block.checkFields()`)
+      * or `version-downgrade` (the block has an older version than the previous block).
+      * When the whole chain is validated the indexes are also rebuilt and compared with those maintained
+      * by `_addBlock`, a difference is reported as an `index-mismatch` error with a null height.
+      * The Promise only rejects when the options are wrong, an invalid chain resolves with `valid: false`.
+      * @param {*} options `{from, to}` to only validate a range of heights (both included)
       */
-     validateChain() {
+     validateChain(options = {}) {
          let self = this;
-         let errorLog = [];
-         const ChainIsValid = true;
-        //Set initial genesis hash
-        var previous_Block_Hash = 0;
          return new Promise(async (resolve, reject) => {
-            self.chain.forEach(block => {
-
-                if(block.height === 0){
-                    previous_Block_Hash = block.hash;
-                }                
-           
-                //You should validate each block using `validateBlock`
-                //console.log("Resultat du validate: " , block.validate());
-                var BlockIsValid = block.validate();
-                if(BlockIsValid == false){
-                    errorLog.push("<br><hr>Il y a une erreur sur le block " + block.height); 
-                    ChainIsValid = false;                                      
-                }/*else{
-                     errorLog.push("<br><hr>Il n'y a pas d'erreurs pour le bloc " + block.height + " avec le hash # " + block.hash);                  
-                }*/
-                
-                //Each Block should check the with the previousBlockHash
-               // console.log(block.previousBlockHash , previous_Block_Hash);               
-                if( block.height === 0 ){
-                   // errorLog.push("<br>Genesis Block hash = " + block.hash );
-                }else if(block.previousBlockHash == previous_Block_Hash){
-                    //errorLog.push("<br>Previous block hash is: " + previous_Block_Hash + " block.previoushash= " + block.previousBlockHash);
-                }else{
-                    errorLog.push("<br>Les hash ne coresspondent pas, la chaine est brisé, previous bloc hash: " + previous_Block_Hash + "  présent hash = " + block.previousBlockHash );
-                    ChainIsValid = false;
-                }
-                
-                previous_Block_Hash = block.hash; 
-                
-            });                    
-            if(ChainIsValid == true){
-                resolve(true);
-            }else{
-                reject(errorLog);
-                //resolve(errorLog); (Im not sure wich one is the right one... Both work fine)
-            }
-            
+             let from = options.from === undefined ? 0 : options.from;
+             let to = options.to === undefined ? self.height : Math.min(options.to, self.height);
+             if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || from > to) {
+                 return reject(new Errors.ValidationError(`Invalid height range: from ${options.from} to ${options.to}`, [{field: 'from', message: 'from should be a height lower or equal to to'}]));
+             }
+             try {
+                 let report = await self._validateBlocks(self.chain, from, to);
+                 if (from === 0 && to === self.height) {
+                     let indexErrors = await self._verifyIndexes();
+                     report.errors = report.errors.concat(indexErrors);
+                     report.valid = report.valid && indexErrors.length === 0;
+                     self.lastReport = report;
+                 }
+                 if (!report.valid) {
+                     console.log(`The chain is invalid, first invalid block at height ${report.firstInvalidHeight}`);
+                     self.emit('tampered', report);
+                 }
+                 resolve(report);
+             } catch (error) {
+                 reject(error);
+             }
          });
-                   
+     }
+
+     /**
+      * Validate the whole chain once the operations changing it are done, no block is added
+      * while it is validated. Resolves with the report of `validateChain()`.
+      */
+     checkIntegrity() {
+         return this._enqueue(() => this.validateChain());
+     }
+
+     /**
+      * Check the body of an amendment block: the message was issued for this star and this story, it is signed by
+      * `address` and `address` owned the star when the block was added. Returns the list of problems found.
+      * @param {*} data the decoded body of the amendment block
+      * @param {*} indexes the indexes of the blocks below the amendment block
+      */
+     _verifyAmendment(data, indexes) {
+         let problems = [];
+         let [messageAddress, , type, starHash, storyHash] = String(data.message).split(':');
+         if (messageAddress !== data.address || type !== 'starAmendment' || starHash !== data.star || storyHash !== hashStory(data.story)) {
+             problems.push(`The message ${data.message} wasn't issued to ${data.address} to amend the star ${data.star} with this story`);
+         }
+         this._checkSignature(problems, data.message, data.address, data.signature, data.scheme);
+         let history = indexes.ownership.get(data.star);
+         if (!history) {
+             problems.push(`There is no star with the id ${data.star} before the amendment`);
+         } else if (history[history.length - 1].owner !== data.address) {
+             problems.push(`The star ${data.star} was owned by ${history[history.length - 1].owner}, not ${data.address}`);
+         }
+         StarSchema.validateStory(data.story).forEach(error => problems.push(error.message));
+         return problems;
+     }
+
+     /**
+      * Check a star registration (the body of a registration block or an entry of a batch): the message was issued
+      * to the address to register a star and it is signed by the address with the recorded scheme.
+      * Returns the list of problems found.
+      * @param {*} registration `{address, message, signature, scheme, star}`
+      */
+     _verifyRegistration(registration) {
+         let problems = [];
+         if (registration === null || typeof registration !== 'object') {
+             return ['The registration is not an object'];
+         }
+         let [messageAddress, , type] = String(registration.message).split(':');
+         if (messageAddress !== registration.address || type !== 'starRegistry') {
+             problems.push(`The message ${registration.message} wasn't issued to ${registration.address} to register a star`);
+         }
+         this._checkSignature(problems, registration.message, registration.address, registration.signature, registration.scheme);
+         return problems;
+     }
+
+     /**
+      * Return the `reused-message` errors for the messages of the block already used by a block below it or
+      * twice in the block, and the `duplicate-star` errors for the stars it registers that are already registered
+      * or registered twice in the block.
+      * @param {*} data the decoded body of the block
+      * @param {*} indexes the indexes of the blocks below the block
+      */
+     _findDuplicates(data, indexes) {
+         let errors = [];
+         let messages = new Set();
+         (data.type === 'batch' ? data.entries.map(entry => entry.message) : [data.message]).forEach(message => {
+             if (indexes.messages.has(message)) {
+                 errors.push({type: 'reused-message', message: `The message ${message} is already used by the block ${indexes.messages.get(message)}`});
+             } else if (messages.has(message)) {
+                 errors.push({type: 'reused-message', message: `The message ${message} is used twice in the block`});
+             }
+             messages.add(message);
+         });
+         if (data.type === 'transfer' || data.type === 'amendment') {
+             return errors;
+         }
+         let keys = new Set();
+         (data.type === 'batch' ? data.entries : [data]).forEach(registration => {
+             let key = Coordinates.starKey(registration.star);
+             if (key === null) {
+                 return;
+             }
+             if (indexes.starIndex.has(key)) {
+                 errors.push({type: 'duplicate-star', message: `A star with the coordinates ra ${registration.star.ra} dec ${registration.star.dec} is already registered in the block ${indexes.starIndex.get(key)}`});
+             } else if (keys.has(key)) {
+                 errors.push({type: 'duplicate-star', message: `The star with the coordinates ra ${registration.star.ra} dec ${registration.star.dec} is registered twice in the block`});
+             }
+             keys.add(key);
+         });
+         return errors;
+     }
+
+     /**
+      * Check the body of a transfer block: the message was issued to `from` to transfer this star to `to`,
+      * it is signed by `from` with the recorded scheme and `from` owned the star when the block was added.
+      * Returns the list of problems found.
+      * @param {*} data the decoded body of the transfer block
+      * @param {*} indexes the indexes of the blocks below the transfer block
+      */
+     _verifyTransfer(data, indexes) {
+         let problems = [];
+         let [messageAddress, , type, starHash, newOwner] = String(data.message).split(':');
+         if (messageAddress !== data.from || type !== 'starTransfer' || starHash !== data.star || newOwner !== data.to) {
+             problems.push(`The message ${data.message} wasn't issued to ${data.from} to transfer the star ${data.star} to ${data.to}`);
+         }
+         this._checkSignature(problems, data.message, data.from, data.signature, data.scheme);
+         let history = indexes.ownership.get(data.star);
+         if (!history) {
+             problems.push(`There is no star with the id ${data.star} before the transfer`);
+         } else if (history[history.length - 1].owner !== data.from) {
+             problems.push(`The star ${data.star} was owned by ${history[history.length - 1].owner}, not ${data.from}`);
+         }
+         return problems;
+     }
+
+     /**
+      * Add a problem to `problems` if `signature` isn't the signature of `message` by `address` with the `scheme`
+      * recorded in the block (the blocks recorded before the schemes have none). A signature only depends on
+      * the message, the address and the signature, so each one is verified once (see `verifiedSignatures`).
+      * @param {*} problems
+      * @param {*} message
+      * @param {*} address
+      * @param {*} signature
+      * @param {*} scheme
+      */
+     _checkSignature(problems, message, address, signature, scheme) {
+         let key = JSON.stringify([message, address, signature]);
+         if (!this.verifiedSignatures.has(key)) {
+             try {
+                 this.verifiedSignatures.set(key, Signatures.verify(message, address, signature));
+             } catch (error) {
+                 problems.push(error.message);
+                 return;
+             }
+         }
+         let verifiedScheme = this.verifiedSignatures.get(key);
+         if (scheme !== undefined && scheme !== verifiedScheme) {
+             problems.push(`The signature scheme is ${verifiedScheme}, the block records ${scheme}`);
+         }
+     }
+
+     /**
+      * Validate the blocks of `blocks` between the heights `from` and `to` (both included)
+      * and build the report described in `validateChain()`.
+      * The block right before `from` is only used to check the link of the first block.
+      * @param {*} blocks array of Block ordered by height
+      * @param {*} from 
+      * @param {*} to 
+      * @param {*} base the indexes of the blocks below `from` when they are already built (e.g. the chain itself
+      * when a single block following its tip is checked), they are only read
+      */
+     async _validateBlocks(blocks, from, to, base = null) {
+         let startedAt = Date.now();
+         let errors = [];
+         let blockReports = [];
+         // Indexes of the blocks below the block being checked
+         let indexes = base;
+         let indexedHeight = base === null ? -1 : from - 1;
+         for (let height = from; height <= to; height++) {
+             let block = blocks[height];
+             let blockErrors = [];
+             if (block.height !== height) {
+                 blockErrors.push({type: 'height-mismatch', message: `Block stored at height ${height} has height ${block.height}`});
+             }
+             let blockIsValid = await block.validate();
+             if (!blockIsValid && block.calculateHash() !== block.hash) {
+                 blockErrors.push({type: 'hash-mismatch', message: `The content of the block doesn't match its hash ${block.hash}`});
+             }
+             block.checkFields().forEach(message => blockErrors.push({type: 'invalid-fields', message: message}));
+             if (height > 0 && blocks[height - 1] && block.getVersion() < blocks[height - 1].getVersion()) {
+                 blockErrors.push({type: 'version-downgrade', message: `The block is version ${block.getVersion()}, the previous block is version ${blocks[height - 1].getVersion()}`});
+             }
+             if (!block.verifyMerkleRoot()) {
+                 blockErrors.push({type: 'merkle-mismatch', message: `The Merkle root ${block.merkleRoot} doesn't match the entries of the block`});
+             }
+             let requiredDifficulty = this.getDifficultyForHeight(height);
+             if ((block.difficulty || 0) < requiredDifficulty || !block.meetsDifficulty(Math.max(requiredDifficulty, block.difficulty || 0))) {
+                 blockErrors.push({type: 'insufficient-difficulty', message: `The hash ${block.hash} doesn't meet the difficulty ${requiredDifficulty} required at height ${height}`});
+             }
+             let expectedPreviousHash = height === 0 ? null : blocks[height - 1].hash;
+             if (block.previousBlockHash !== expectedPreviousHash) {
+                 blockErrors.push({type: 'broken-link', message: `previousBlockHash is ${block.previousBlockHash}, expected ${expectedPreviousHash}`});
+             }
+             let data = null;
+             if (height > 0) {
+                 try {
+                     data = await block.getBData();
+                     let problem = bodyProblem(data);
+                     if (problem !== null) {
+                         blockErrors.push({type: 'invalid-body', message: problem});
+                         data = null;
+                     }
+                 } catch (error) {
+                     // An undecodable body doesn't match its hash, it is already reported
+                 }
+             }
+             if (data !== null) {
+                 if (indexes === null) {
+                     indexes = this._createIndexes();
+                 }
+                 while (indexedHeight < height - 1) {
+                     indexedHeight++;
+                     try {
+                         await this._indexBlock(blocks[indexedHeight], indexes);
+                     } catch (error) {
+                         // Same as above
+                     }
+                 }
+                 if (data.type === 'transfer' || data.type === 'amendment') {
+                     let problems = data.type === 'transfer' ? this._verifyTransfer(data, indexes) : this._verifyAmendment(data, indexes);
+                     problems.forEach(message => blockErrors.push({type: `invalid-${data.type}`, message: message}));
+                 } else if (data.type === 'batch') {
+                     data.entries.forEach((entry, index) => {
+                         this._verifyRegistration(entry).forEach(message => blockErrors.push({type: 'invalid-registration', message: `Entry ${index}: ${message}`}));
+                     });
+                 } else {
+                     this._verifyRegistration(data).forEach(message => blockErrors.push({type: 'invalid-registration', message: message}));
+                 }
+                 // The version 1 blocks were added before a star and a message could only be registered and used once
+                 if (block.getVersion() >= 2) {
+                     this._findDuplicates(data, indexes).forEach(error => blockErrors.push(error));
+                 }
+             }
+             blockErrors.forEach(error => {
+                 errors.push(Object.assign({height: height, hash: block.hash}, error));
+             });
+             blockReports.push({
+                 height: height,
+                 hash: block.hash,
+                 valid: blockErrors.length === 0,
+                 errors: blockErrors.map(error => error.type)
+             });
+         }
+         return {
+             valid: errors.length === 0,
+             height: blocks.length - 1,
+             from: from,
+             to: to,
+             checkedBlocks: blockReports.length,
+             firstInvalidHeight: errors.length === 0 ? null : errors[0].height,
+             errors: errors,
+             blocks: blockReports,
+             startedAt: new Date(startedAt).toISOString(),
+             durationMs: Date.now() - startedAt
+         };
      }
  
  }
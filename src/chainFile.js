@@ -0,0 +1,117 @@
+/**
+ *                          Chain export files
+ *  Format of the files written by `GET /chain/export` and read by the import.
+ *  Both formats start with a header describing the exported chain, so a truncated file is detected:
+ *  - `json`: `{"type": "chain-export", "version": 1, "height": 12, "tipHash": "...", "blocks": [...]}`
+ *  - `ndjson`: the header on the first line, then one block per line
+ *  A plain JSON array of blocks (no header) is also accepted by the import.
+ */
+
+ const EXPORT_TYPE = 'chain-export';
+ const EXPORT_VERSION = 1;
+
+ /**
+  * Return the header of the export of `blocks`.
+  * @param {*} blocks
+  */
+ function createHeader(blocks) {
+     return {
+         type: EXPORT_TYPE,
+         version: EXPORT_VERSION,
+         height: blocks.length - 1,
+         tipHash: blocks.length > 0 ? blocks[blocks.length - 1].hash : null
+     };
+ }
+
+ /**
+  * Return an iterator over the chunks of text of the export of `blocks` in `format`
+  * (`json` or `ndjson`), one chunk per block so the export can be streamed.
+  * @param {*} blocks
+  * @param {*} format
+  */
+ function* serialize(blocks, format) {
+     let header = createHeader(blocks);
+     if (format === 'ndjson') {
+         yield JSON.stringify(header) + '\n';
+         for (const block of blocks) {
+             yield JSON.stringify(block) + '\n';
+         }
+         return;
+     }
+     yield JSON.stringify(header).slice(0, -1) + ',"blocks":[';
+     for (let i = 0; i < blocks.length; i++) {
+         yield (i > 0 ? ',' : '') + JSON.stringify(blocks[i]);
+     }
+     yield ']}\n';
+ }
+
+ function parseJSON(content, errors) {
+     let parsed;
+     try {
+         parsed = typeof content === 'string' ? JSON.parse(content) : content;
+     } catch (error) {
+         errors.push({height: null, line: null, type: 'parse-error', message: `The file isn't valid JSON, it may be truncated: ${error.message}`});
+         return {header: null, blocks: []};
+     }
+     if (Array.isArray(parsed)) {
+         return {header: null, blocks: parsed};
+     }
+     if (parsed && parsed.type === EXPORT_TYPE && Array.isArray(parsed.blocks)) {
+         let header = Object.assign({}, parsed);
+         delete header.blocks;
+         return {header: header, blocks: parsed.blocks};
+     }
+     errors.push({height: null, line: null, type: 'parse-error', message: 'The file isn\'t a chain export'});
+     return {header: null, blocks: []};
+ }
+
+ function parseNDJSON(content, errors) {
+     let header = null;
+     let blocks = [];
+     content.split('\n').forEach((line, index) => {
+         if (line.trim() === '') {
+             return;
+         }
+         let parsed;
+         try {
+             parsed = JSON.parse(line);
+         } catch (error) {
+             errors.push({height: null, line: index + 1, type: 'parse-error', message: `Line ${index + 1} isn't valid JSON, the file may be truncated: ${error.message}`});
+             return;
+         }
+         if (parsed && parsed.type === EXPORT_TYPE && header === null && blocks.length === 0) {
+             header = parsed;
+         } else {
+             blocks.push(parsed);
+         }
+     });
+     return {header: header, blocks: blocks};
+ }
+
+ /**
+  * Parse an export. Returns `{header, blocks, errors}` where `errors` lists the problems found
+  * while reading the file (`parse-error`) and comparing it with its header (`truncated`, `tip-mismatch`).
+  * The blocks themselves are checked by `Blockchain.importChain`.
+  * @param {*} content the text of the file, or the already parsed JSON
+  * @param {*} format `json`, `ndjson`, or undefined to detect it
+  */
+ function parse(content, format) {
+     let errors = [];
+     if (format === undefined) {
+         format = typeof content !== 'string' || /^\s*\[/.test(content) || /^\s*\{[^\n]*"blocks"\s*:/.test(content) ? 'json' : 'ndjson';
+     }
+     let result = format === 'json' ? parseJSON(content, errors) : parseNDJSON(content, errors);
+     let header = result.header;
+     let blocks = result.blocks;
+     if (header !== null && errors.length === 0) {
+         if (blocks.length !== header.height + 1) {
+             errors.push({height: blocks.length, line: null, type: 'truncated', message: `The file holds ${blocks.length} blocks, the export had ${header.height + 1}`});
+         } else if (blocks.length > 0 && blocks[blocks.length - 1].hash !== header.tipHash) {
+             errors.push({height: blocks.length - 1, line: null, type: 'tip-mismatch', message: `The last block hash isn't the exported tip ${header.tipHash}`});
+         }
+     }
+     return {header: header, blocks: blocks, errors: errors};
+ }
+
+ module.exports.serialize = serialize;
+ module.exports.parse = parse;
@@ -0,0 +1,112 @@
+/**
+ *                          Challenge store
+ *  Keeps the messages (challenges) handed out to the wallets so a signed message
+ *  can only be used once and only while it is valid.
+ *  Message format: `<WALLET_ADDRESS>:<time>:<type>[:<extra>...]:<nonce>` where `type` is
+ *  `starRegistry` or `starTransfer` and `nonce` is random so two messages are never the same.
+ *  Expired challenges are removed by a periodic sweep.
+ */
+ const crypto = require('crypto');
+
+ class ChallengeStore {
+
+     /**
+      * @param {*} options `{validityWindow, sweepInterval}` in seconds, 300 and 60 by default
+      */
+     constructor(options = {}) {
+         this.validityWindow = options.validityWindow || 300;
+         // message => challenge `{message, address, type, nonce, issuedAt, expiresAt}`
+         this.challenges = new Map();
+         this.sweepTimer = setInterval(() => this.sweep(), (options.sweepInterval || 60) * 1000);
+         // The sweep shouldn't keep the process alive
+         this.sweepTimer.unref();
+     }
+
+     /**
+      * Issue a new challenge for the wallet `address` and return it.
+      * @param {*} address
+      * @param {*} type `starRegistry`, `starTransfer`...
+      * @param {*} extra values added to the message after the type
+      */
+     issue(address, type, extra = []) {
+         let issuedAt = parseInt(new Date().getTime().toString().slice(0, -3));
+         let nonce = crypto.randomBytes(8).toString('hex');
+         let message = [address, issuedAt, type].concat(extra, [nonce]).join(':');
+         let challenge = {
+             message: message,
+             address: address,
+             type: type,
+             nonce: nonce,
+             issuedAt: issuedAt,
+             expiresAt: issuedAt + this.validityWindow
+         };
+         this.challenges.set(message, challenge);
+         return challenge;
+     }
+
+     /**
+      * Return the challenge of `message` or null if it was never issued, was used or was swept.
+      * @param {*} message
+      */
+     get(message) {
+         return this.challenges.get(message) || null;
+     }
+
+     /**
+      * Return the challenges of `address` that can still be used, with their `remainingSeconds`.
+      * @param {*} address
+      */
+     pending(address) {
+         let now = this._now();
+         let pending = [];
+         this.challenges.forEach(challenge => {
+             if (challenge.address === address && challenge.expiresAt > now) {
+                 pending.push(Object.assign({remainingSeconds: challenge.expiresAt - now}, challenge));
+             }
+         });
+         return pending;
+     }
+
+     isExpired(challenge) {
+         return challenge.expiresAt <= this._now();
+     }
+
+     /**
+      * Use the challenge of `message`, returns false if it can't be used (unknown, already used or expired).
+      * @param {*} message
+      */
+     consume(message) {
+         let challenge = this.get(message);
+         if (challenge === null || this.isExpired(challenge)) {
+             return false;
+         }
+         this.challenges.delete(message);
+         return true;
+     }
+
+     /**
+      * Put back a consumed challenge, when the request it was used for failed.
+      * @param {*} challenge
+      */
+     restore(challenge) {
+         this.challenges.set(challenge.message, challenge);
+     }
+
+     /**
+      * Remove the expired challenges.
+      */
+     sweep() {
+         this.challenges.forEach((challenge, message) => {
+             if (this.isExpired(challenge)) {
+                 this.challenges.delete(message);
+             }
+         });
+     }
+
+     _now() {
+         return parseInt(new Date().getTime().toString().slice(0, -3));
+     }
+
+ }
+
+ module.exports.ChallengeStore = ChallengeStore;
@@ -0,0 +1,158 @@
+/**
+ *                          RegistryClient class
+ *  Client of the REST API of a node, used by the command line client (`bin/star.js`).
+ *  It can sign the ownership messages locally from a WIF private key, so a star
+ *  can be registered without copying the message to a wallet like Electrum:
+ *  `registerStar(wif, star)` requests the message, signs it and submits the star.
+ */
+ const http = require('http');
+ const https = require('https');
+ const bitcoin = require('bitcoinjs-lib');
+ const bitcoinMessage = require('bitcoinjs-message');
+
+ // Time to wait for the node to answer, in milliseconds
+ const REQUEST_TIMEOUT = 30000;
+
+ class RegistryClient {
+
+     /**
+      * @param {*} baseUrl URL of the node, e.g. `http://localhost:8000`
+      */
+     constructor(baseUrl) {
+         this.baseUrl = baseUrl.replace(/\/+$/, '');
+     }
+
+     /**
+      * Return the key pair and the legacy (P2PKH) address of a WIF private key,
+      * mainnet and testnet keys are accepted.
+      * @param {*} wif
+      */
+     static keyFromWIF(wif) {
+         let keyPair;
+         try {
+             keyPair = bitcoin.ECPair.fromWIF(wif, [bitcoin.networks.bitcoin, bitcoin.networks.testnet]);
+         } catch (error) {
+             throw new Error(`Invalid WIF private key: ${error.message}`);
+         }
+         let address = bitcoin.payments.p2pkh({pubkey: keyPair.publicKey, network: keyPair.network}).address;
+         return {keyPair: keyPair, address: address};
+     }
+
+     /**
+      * Sign a message like a wallet does (Bitcoin signed message), returns the base64 signature.
+      * @param {*} message
+      * @param {*} wif
+      */
+     static signMessage(message, wif) {
+         let keyPair = RegistryClient.keyFromWIF(wif).keyPair;
+         return bitcoinMessage.sign(message, keyPair.privateKey, keyPair.compressed).toString('base64');
+     }
+
+     /**
+      * Request the message to sign to prove the ownership of `address`.
+      * @param {*} address
+      */
+     requestValidation(address) {
+         return this._request('POST', '/requestValidation', {address: address});
+     }
+
+     /**
+      * Submit a star with a message signed by the owner of `address`.
+      * @param {*} address
+      * @param {*} message
+      * @param {*} signature
+      * @param {*} star
+      */
+     submitStar(address, message, signature, star) {
+         return this._request('POST', '/submitstar', {address: address, message: message, signature: signature, star: star});
+     }
+
+     /**
+      * Register a star in one call: request the message for the address of the key,
+      * sign it locally and submit the star. Resolves with the new block.
+      * @param {*} wif private key of the owner
+      * @param {*} star
+      */
+     async registerStar(wif, star) {
+         let address = RegistryClient.keyFromWIF(wif).address;
+         let message = await this.requestValidation(address);
+         let signature = RegistryClient.signMessage(message, wif);
+         return this.submitStar(address, message, signature, star);
+     }
+
+     getStarsByOwner(address) {
+         return this._request('GET', `/blocks/${encodeURIComponent(address)}`);
+     }
+
+     /**
+      * Return the block at a height (a number) or with a hash.
+      * @param {*} id
+      */
+     getBlock(id) {
+         let path = /^\d+$/.test(String(id)) ? `/block/height/${id}` : `/block/hash/${encodeURIComponent(id)}`;
+         return this._request('GET', path);
+     }
+
+     /**
+      * Return the validation report of the chain, `options` is `{from, to}`.
+      * @param {*} options
+      */
+     validateChain(options = {}) {
+         let query = new URLSearchParams();
+         for (const param of ['from', 'to']) {
+             if (options[param] !== undefined) {
+                 query.set(param, options[param]);
+             }
+         }
+         let search = query.toString();
+         return this._request('GET', `/validate${search ? `?${search}` : ''}`);
+     }
+
+     /**
+      * Send a JSON request to the node. Resolves with the JSON (or text) answer, rejects with an Error
+      * holding the `status` and the `errors` returned by the node when it answers with an error.
+      * @param {*} method
+      * @param {*} path
+      * @param {*} body
+      */
+     _request(method, path, body) {
+         let url = `${this.baseUrl}${path}`;
+         return new Promise((resolve, reject) => {
+             let payload = body === undefined ? null : JSON.stringify(body);
+             let client = url.startsWith('https:') ? https : http;
+             let request = client.request(url, {
+                 method: method,
+                 timeout: REQUEST_TIMEOUT,
+                 headers: payload === null ? {} : {'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload)}
+             }, (response) => {
+                 let content = '';
+                 response.setEncoding('utf8');
+                 response.on('data', chunk => content += chunk);
+                 response.on('end', () => {
+                     let data = content;
+                     try {
+                         data = content === '' ? null : JSON.parse(content);
+                     } catch (error) {
+                         // Some endpoints answer with text
+                     }
+                     if (response.statusCode >= 400) {
+                         let error = new Error(data && data.error ? data.error : (content || `${method} ${url} answered ${response.statusCode}`));
+                         error.status = response.statusCode;
+                         error.errors = data && data.errors ? data.errors : [];
+                         return reject(error);
+                     }
+                     resolve(data);
+                 });
+             });
+             request.on('timeout', () => request.destroy(new Error(`${method} ${url} timed out`)));
+             request.on('error', (error) => reject(new Error(`Unable to reach the node ${this.baseUrl}: ${error.message}`)));
+             if (payload !== null) {
+                 request.write(payload);
+             }
+             request.end();
+         });
+     }
+
+ }
+
+ module.exports.RegistryClient = RegistryClient;
@@ -0,0 +1,97 @@
+/**
+ *                          Star coordinates
+ *  Helpers to read the `ra` (right ascension) and `dec` (declination) strings of a star.
+ *  Users write them in many ways (`68° 52' 56.9`, `68 52 56.9`, `16h 29m 1.0s`, `16:29:01`...),
+ *  the helpers only look at the numbers so all those forms give the same value.
+ *  The sky search works in decimal degrees: `ra` is read in hours (1h = 15°), `dec` in degrees.
+ */
+
+ // Precision used to compare two coordinates, in seconds (of time for `ra`, of arc for `dec`)
+ const KEY_PRECISION = 2;
+
+ /**
+  * Parse a sexagesimal string (`degrees|hours minutes seconds`) and return the total
+  * number of seconds, or null when the string doesn't contain any number.
+  * Missing minutes or seconds count as 0, a leading `-` makes the value negative.
+  * @param {*} value
+  */
+ function parseSexagesimal(value) {
+     if (typeof value === 'number') {
+         return Number.isFinite(value) ? value * 3600 : null;
+     }
+     if (typeof value !== 'string') {
+         return null;
+     }
+     let parts = value.match(/\d+(?:\.\d+)?/g);
+     if (!parts) {
+         return null;
+     }
+     let sign = /^\s*[-−]/.test(value) ? -1 : 1;
+     let [first, minutes = 0, seconds = 0] = parts.map(Number);
+     return sign * (first * 3600 + minutes * 60 + seconds);
+ }
+
+ /**
+  * Return the normalized form of a coordinate, used to compare coordinates whatever
+  * their formatting. Strings without numbers are compared on their lowercase text.
+  * @param {*} value
+  */
+ function normalizeCoordinate(value) {
+     let seconds = parseSexagesimal(value);
+     if (seconds === null) {
+         return String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+     }
+     return seconds.toFixed(KEY_PRECISION);
+ }
+
+ /**
+  * Return the key identifying the position of a star in the sky, or null if the star
+  * has no coordinates.
+  * @param {*} star object with `ra` and `dec`
+  */
+ function starKey(star) {
+     if (!star || typeof star !== 'object' || star.ra === undefined || star.dec === undefined) {
+         return null;
+     }
+     return `${normalizeCoordinate(star.ra)}|${normalizeCoordinate(star.dec)}`;
+ }
+
+ /**
+  * Return the right ascension in degrees (0 to 360), or null when it can't be parsed.
+  * @param {*} value hours, e.g. `16h 29m 1.0s` or 16.48
+  */
+ function raToDegrees(value) {
+     let seconds = parseSexagesimal(value);
+     return seconds === null ? null : (seconds / 3600) * 15;
+ }
+
+ /**
+  * Return the declination in degrees (-90 to 90), or null when it can't be parsed.
+  * @param {*} value degrees, e.g. `-26° 25' 55.2` or -26.43
+  */
+ function decToDegrees(value) {
+     let seconds = parseSexagesimal(value);
+     return seconds === null ? null : seconds / 3600;
+ }
+
+ /**
+  * Return the angle between two positions of the sky in degrees (haversine formula).
+  * @param {*} ra1 right ascension of the first position, in degrees
+  * @param {*} dec1 declination of the first position, in degrees
+  * @param {*} ra2
+  * @param {*} dec2
+  */
+ function angularDistance(ra1, dec1, ra2, dec2) {
+     const rad = Math.PI / 180;
+     let sinDec = Math.sin((dec2 - dec1) * rad / 2);
+     let sinRa = Math.sin((ra2 - ra1) * rad / 2);
+     let a = sinDec * sinDec + Math.cos(dec1 * rad) * Math.cos(dec2 * rad) * sinRa * sinRa;
+     return 2 * Math.asin(Math.min(1, Math.sqrt(a))) / rad;
+ }
+
+ module.exports.parseSexagesimal = parseSexagesimal;
+ module.exports.normalizeCoordinate = normalizeCoordinate;
+ module.exports.starKey = starKey;
+ module.exports.raToDegrees = raToDegrees;
+ module.exports.decToDegrees = decToDegrees;
+ module.exports.angularDistance = angularDistance;
@@ -0,0 +1,168 @@
+/**
+ *                          Errors
+ *  Errors rejected by the Blockchain class when a request can't be fulfilled.
+ *  Each error carries the HTTP `status` the controller should answer with and a `code`
+ *  the client applications can test, the controllers render them with `sendError`:
+ *  `{"error": "<message>", "code": "<code>", "status": <status>, "errors": [...]}`
+ *  (`errors` lists the invalid fields of a `ValidationError`, `report` is added for an invalid chain,
+ *  `retryAfter` and the `Retry-After` header for a `RateLimitError`).
+ */
+
+ class BlockchainError extends Error {
+
+     constructor(message, status = 500, code = 'internal-error') {
+         super(message);
+         this.name = this.constructor.name;
+         this.status = status;
+         this.code = code;
+     }
+
+ }
+
+ /**
+  * The request data is invalid, `errors` lists the invalid fields `[{field, message}]`.
+  */
+ class ValidationError extends BlockchainError {
+
+     constructor(message, errors = []) {
+         super(message, 400, 'validation-error');
+         this.errors = errors;
+     }
+
+ }
+
+ /**
+  * The message to sign can't be used: it wasn't issued to the address (`challenge-unknown`),
+  * it has expired (`challenge-expired`) or it was already used (`challenge-used`).
+  */
+ class ChallengeError extends BlockchainError {
+
+     constructor(message, reason) {
+         super(message, 401, `challenge-${reason}`);
+     }
+
+ }
+
+ /**
+  * The signature of a message doesn't prove the ownership of the wallet address,
+  * the message explains why (unsupported address, malformed signature, another key...).
+  */
+ class SignatureError extends BlockchainError {
+
+     constructor(message) {
+         super(message, 401, 'invalid-signature');
+     }
+
+ }
+
+ /**
+  * The wallet address isn't allowed to do the request (e.g. transfer a star it doesn't own).
+  */
+ class ForbiddenError extends BlockchainError {
+
+     constructor(message) {
+         super(message, 403, 'forbidden');
+     }
+
+ }
+
+ /**
+  * The resource requested (block, star...) doesn't exist.
+  */
+ class NotFoundError extends BlockchainError {
+
+     constructor(message) {
+         super(message, 404, 'not-found');
+     }
+
+ }
+
+ /**
+  * The request conflicts with the data already stored in the chain (e.g. the star is already registered).
+  */
+ class ConflictError extends BlockchainError {
+
+     constructor(message) {
+         super(message, 409, 'conflict');
+     }
+
+ }
+
+ /**
+  * Too many requests from the same client or wallet address (see `rateLimiter.js`),
+  * `retryAfter` is the number of seconds before the client can try again.
+  */
+ class RateLimitError extends BlockchainError {
+
+     constructor(message, retryAfter) {
+         super(message, 429, 'rate-limited');
+         this.retryAfter = retryAfter;
+     }
+
+ }
+
+ /**
+  * The chain is read-only: the integrity monitor found it invalid (see `integrityMonitor.js`),
+  * no block can be added until it is valid again (e.g. once a valid chain is imported).
+  */
+ class ReadOnlyError extends BlockchainError {
+
+     constructor(message) {
+         super(message, 503, 'read-only');
+     }
+
+ }
+
+ /**
+  * Something went wrong on the server side (storage failure, chain found invalid...).
+  */
+ class InternalError extends BlockchainError {
+
+     constructor(message) {
+         super(message, 500, 'internal-error');
+     }
+
+ }
+
+ /**
+  * Answer an express request with the JSON body of `error`. Errors that aren't `BlockchainError`
+  * are internal errors: they are logged and their message isn't sent to the client, except the
+  * client errors of express itself (e.g. a malformed JSON body).
+  * @param {*} res
+  * @param {*} error
+  */
+ function sendError(res, error) {
+     if (!(error instanceof BlockchainError)) {
+         let status = error && (error.status || error.statusCode);
+         if (status >= 400 && status < 500 && error.expose) {
+             error = new BlockchainError(error.message, status, status === 400 ? 'validation-error' : 'bad-request');
+         } else {
+             console.error('Internal error:', error);
+             error = new InternalError('An internal error happened');
+         }
+     }
+     let body = {error: error.message, code: error.code, status: error.status};
+     if (error.errors) {
+         body.errors = error.errors;
+     }
+     if (error.report) {
+         body.report = error.report;
+     }
+     if (error.retryAfter !== undefined) {
+         body.retryAfter = error.retryAfter;
+         res.set('Retry-After', String(error.retryAfter));
+     }
+     return res.status(error.status).json(body);
+ }
+
+ module.exports.BlockchainError = BlockchainError;
+ module.exports.ValidationError = ValidationError;
+ module.exports.ChallengeError = ChallengeError;
+ module.exports.SignatureError = SignatureError;
+ module.exports.ForbiddenError = ForbiddenError;
+ module.exports.NotFoundError = NotFoundError;
+ module.exports.ConflictError = ConflictError;
+ module.exports.RateLimitError = RateLimitError;
+ module.exports.ReadOnlyError = ReadOnlyError;
+ module.exports.InternalError = InternalError;
+ module.exports.sendError = sendError;
@@ -0,0 +1,133 @@
+/**
+ *                          EventStream class
+ *  Pushes the events of a Blockchain to the clients connected with Server-Sent Events (`GET /events`),
+ *  so the clients don't have to poll `/block/height/:height` to discover the new blocks.
+ *  Events sent:
+ *  - `block` every block added to the chain, the event id is the height of the block
+ *    `{height, hash, source, addresses, block, data}` (`data` is the decoded body)
+ *  - `replaced` `{height}` the chain was replaced (by a longer chain of a peer or an import)
+ *  - `tampered` `{firstInvalidHeight, errors}` `validateChain()` found an invalid block
+ *  A client can only follow the blocks of an owner address (`address`), and resumes from a height
+ *  (`fromHeight`, or the `Last-Event-ID` header sent by the browsers when they reconnect):
+ *  the blocks it missed are sent before the new ones.
+ */
+
+ // A comment is sent to every client at this interval (ms) so proxies don't close idle connections
+ const HEARTBEAT_INTERVAL = 25000;
+
+ class EventStream {
+
+     /**
+      * @param {*} blockchain the Blockchain whose events are sent
+      */
+     constructor(blockchain) {
+         this.blockchain = blockchain;
+         this.clients = new Set();
+         this.blockchain.on('block', (block, source) => this._onBlock(block, source));
+         this.blockchain.on('replaced', (height) => {
+             // The clients reload the chain from the REST API, the stream goes on after the new tip
+             this.clients.forEach(client => client.nextHeight = height + 1);
+             this._broadcast('replaced', {height: height});
+         });
+         this.blockchain.on('tampered', (report) => this._broadcast('tampered', {
+             firstInvalidHeight: report.firstInvalidHeight,
+             errors: report.errors
+         }));
+         this.heartbeat = setInterval(() => this._broadcast(null), HEARTBEAT_INTERVAL);
+         // The heartbeat alone doesn't keep the process running
+         this.heartbeat.unref();
+     }
+
+     /**
+      * Send the events to `res` (an HTTP response) until the client disconnects.
+      * @param {*} req the HTTP request, the stream ends when it is closed
+      * @param {*} res the HTTP response
+      * @param {*} options `{address, fromHeight}` only the blocks concerning `address` are sent,
+      * the blocks from `fromHeight` that are already in the chain are sent first
+      */
+     async subscribe(req, res, options = {}) {
+         let client = {
+             res: res,
+             address: options.address || null,
+             // Height of the next block to send, a block is never sent twice
+             nextHeight: options.fromHeight === undefined ? this.blockchain.height + 1 : options.fromHeight,
+             // Live blocks are sent once the blocks already in the chain have been replayed
+             replaying: options.fromHeight !== undefined
+         };
+         res.writeHead(200, {
+             'Content-Type': 'text/event-stream',
+             'Cache-Control': 'no-cache',
+             'Connection': 'keep-alive'
+         });
+         res.write(': connected\n\n');
+         this.clients.add(client);
+         req.on('close', () => this.clients.delete(client));
+         if (client.replaying) {
+             // The chain can grow while the blocks are replayed, they are sent by this loop too
+             while (client.nextHeight <= this.blockchain.height && this.clients.has(client)) {
+                 let block = this.blockchain.chain[client.nextHeight];
+                 this._sendBlock(client, await this._blockEvent(block, 'chain'));
+             }
+             client.replaying = false;
+         }
+     }
+
+     async _onBlock(block, source) {
+         let event = await this._blockEvent(block, source);
+         this.clients.forEach(client => {
+             if (!client.replaying) {
+                 this._sendBlock(client, event);
+             }
+         });
+     }
+
+     _sendBlock(client, event) {
+         if (event.height < client.nextHeight) {
+             return;
+         }
+         client.nextHeight = event.height + 1;
+         if (this._matches(client, event)) {
+             this._send(client, 'block', event, event.height);
+         }
+     }
+
+     async _blockEvent(block, source) {
+         let data = null;
+         let addresses = [];
+         try {
+             data = await block.getBData();
+             addresses = await this.blockchain.getBlockAddresses(block);
+         } catch (error) {
+             // The body of a tampered block can't be decoded, the block is sent without it
+         }
+         return {height: block.height, hash: block.hash, source: source, addresses: addresses, block: block, data: data};
+     }
+
+     _matches(client, event) {
+         return client.address === null || event.addresses.includes(client.address);
+     }
+
+     /**
+      * Send an event to every client, a heartbeat comment when `type` is null.
+      * @param {*} type
+      * @param {*} payload
+      */
+     _broadcast(type, payload) {
+         this.clients.forEach(client => {
+             if (type === null) {
+                 client.res.write(': heartbeat\n\n');
+             } else {
+                 this._send(client, type, payload);
+             }
+         });
+     }
+
+     _send(client, type, payload, id) {
+         let message = id === undefined ? '' : `id: ${id}\n`;
+         message += `event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`;
+         client.res.write(message);
+     }
+
+ }
+
+ module.exports.EventStream = EventStream;
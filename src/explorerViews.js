@@ -0,0 +1,305 @@
+/**
+ *                          Explorer views
+ *  HTML pages of the block explorer served under `/explorer` (see `ExplorerController.js`).
+ *  Each view is a function returning the whole page, every value coming from the chain or the request
+ *  is escaped with `escapeHtml`. `base` is the path the registry is served under (`''` for the root chain,
+ *  `/chains/<name>` for a named registry), the links and the forms stay in that registry.
+ */
+
+ const STYLE = `
+     body { font-family: sans-serif; margin: 0; color: #222; }
+     header { background: #141a33; color: #fff; padding: 0.8em 1.5em; }
+     header a { color: #fff; margin-right: 1.2em; text-decoration: none; }
+     header form { display: inline; float: right; }
+     main { padding: 1em 1.5em; max-width: 70em; }
+     table { border-collapse: collapse; margin: 0.5em 0 1em; }
+     th, td { border-bottom: 1px solid #ddd; padding: 0.3em 0.8em; text-align: left; vertical-align: top; }
+     code, pre { font-size: 0.9em; word-break: break-all; }
+     pre { background: #f4f4f4; padding: 0.8em; white-space: pre-wrap; }
+     .valid { color: #17803d; } .invalid { color: #b3261e; }
+     label { display: block; margin: 0.5em 0 0.2em; } input, textarea { width: 100%; max-width: 40em; }
+     .error { color: #b3261e; white-space: pre-wrap; }`;
+
+ /**
+  * Escape the characters having a meaning in HTML.
+  * @param {*} value any value, null and undefined are rendered as an empty string
+  */
+ function escapeHtml(value) {
+     if (value === null || value === undefined) {
+         return '';
+     }
+     return String(value)
+         .replace(/&/g, '&amp;')
+         .replace(/</g, '&lt;')
+         .replace(/>/g, '&gt;')
+         .replace(/"/g, '&quot;')
+         .replace(/'/g, '&#39;');
+ }
+
+ function layout(title, base, content) {
+     return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} - Star Registry Explorer</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+<a href="${base}/explorer"><strong>Star Registry</strong></a>
+<a href="${base}/explorer/blocks">Blocks</a>
+<a href="${base}/explorer/register">Register a star</a>
+<form action="${base}/explorer/search"><input name="q" placeholder="Height, block hash or address" size="40"></form>
+</header>
+<main>
+<h1>${escapeHtml(title)}</h1>
+${content}
+</main>
+</body>
+</html>`;
+ }
+
+ function blockLink(base, block) {
+     return `<a href="${base}/explorer/block/${encodeURIComponent(block.height)}">${escapeHtml(block.height)}</a>`;
+ }
+
+ function ownerLink(base, address) {
+     return `<a href="${base}/explorer/owner/${encodeURIComponent(address)}">${escapeHtml(address)}</a>`;
+ }
+
+ function formatTime(time) {
+     let date = new Date(Number(time) * 1000);
+     return isNaN(date.getTime()) ? escapeHtml(time) : escapeHtml(date.toISOString().replace('T', ' ').slice(0, 19) + ' UTC');
+ }
+
+ /**
+  * One line summary of the decoded body of a block.
+  * @param {*} base
+  * @param {*} data
+  */
+ function summarizeData(base, data) {
+     if (data === null || typeof data !== 'object') {
+         return escapeHtml(data);
+     }
+     if (data.type === 'batch' && Array.isArray(data.entries)) {
+         return `Batch of ${data.entries.length} star(s)`;
+     }
+     if (data.type === 'transfer') {
+         return `Transfer of the star ${escapeHtml(data.star)} from ${ownerLink(base, data.from)} to ${ownerLink(base, data.to)}`;
+     }
+     if (data.type === 'amendment') {
+         return `New story of the star ${escapeHtml(data.star)} by ${ownerLink(base, data.address)}: ${escapeHtml(data.story)}`;
+     }
+     if (data.star) {
+         return `Star ${escapeHtml(data.star.ra)} ${escapeHtml(data.star.dec)} registered by ${ownerLink(base, data.address)}`;
+     }
+     return escapeHtml(data.data || JSON.stringify(data));
+ }
+
+ function blocksTable(base, blocks) {
+     let rows = blocks.map(block => `<tr><td>${blockLink(base, block)}</td><td>${formatTime(block.time)}</td>`
+         + `<td><code>${escapeHtml(block.hash)}</code></td><td>${summarizeData(base, block.data)}</td></tr>`);
+     return `<table><tr><th>Height</th><th>Time</th><th>Hash</th><th>Content</th></tr>${rows.join('')}</table>`;
+ }
+
+ function starTable(star) {
+     let rows = ['ra', 'dec', 'mag', 'cen', 'constellation', 'story'].filter(field => star[field] !== undefined)
+         .map(field => `<tr><th>${field}</th><td>${escapeHtml(star[field])}</td></tr>`);
+     return `<table>${rows.join('')}</table>`;
+ }
+
+ /**
+  * Home page: summary of the chain and its latest blocks.
+  * @param {*} base
+  * @param {*} info the result of `getChainInfo()`
+  * @param {*} latest the result of `getBlocks({order: 'desc'})`
+  */
+ function overview(base, info, latest) {
+     let validity = info.valid
+         ? '<strong class="valid">valid</strong>'
+         : `<strong class="invalid">invalid</strong> (see <a href="${base}/validate">/validate</a>)`;
+     return layout(info.name ? `Registry ${info.name}` : 'Star Registry', base, `
+<table>
+<tr><th>Height</th><td>${escapeHtml(info.height)}</td></tr>
+<tr><th>Validity</th><td>${validity}</td></tr>
+<tr><th>Tip</th><td><a href="${base}/explorer/block/${encodeURIComponent(info.tipHash)}"><code>${escapeHtml(info.tipHash)}</code></a></td></tr>
+<tr><th>Genesis</th><td><code>${escapeHtml(info.genesisHash)}</code></td></tr>
+<tr><th>Difficulty</th><td>${escapeHtml(info.difficulty)}</td></tr>
+</table>
+<h2>Latest blocks</h2>
+${blocksTable(base, latest.blocks)}
+<p><a href="${base}/explorer/blocks">All the blocks</a></p>`);
+ }
+
+ /**
+  * A page of blocks, from the tip of the chain down to the Genesis Block.
+  * @param {*} base
+  * @param {*} page the result of `getBlocks({order: 'desc', from})`
+  * @param {*} height the height of the chain
+  */
+ function blockList(base, page, height) {
+     let links = [];
+     let first = page.blocks.length > 0 ? page.blocks[0].height : null;
+     if (first !== null && first < height) {
+         links.push(`<a href="${base}/explorer/blocks?from=${Math.min(first + page.limit, height)}">Newer blocks</a>`);
+     }
+     if (page.next !== null) {
+         links.push(`<a href="${base}/explorer/blocks?from=${page.next}">Older blocks</a>`);
+     }
+     return layout('Blocks', base, `${blocksTable(base, page.blocks)}<p>${links.join(' | ')}</p>`);
+ }
+
+ /**
+  * Detail of a block: its header, its decoded body and the links to the previous and next blocks.
+  * @param {*} base
+  * @param {*} block
+  * @param {*} data the decoded body, null if it can't be decoded
+  * @param {*} height the height of the chain
+  */
+ function blockDetail(base, block, data, height) {
+     let header = ['hash', 'height', 'time', 'previousBlockHash', 'merkleRoot', 'difficulty', 'nonce']
+         .filter(field => block[field] !== undefined)
+         .map(field => {
+             let value = field === 'time' ? `${escapeHtml(block.time)} (${formatTime(block.time)})` : `<code>${escapeHtml(block[field])}</code>`;
+             return `<tr><th>${field}</th><td>${value}</td></tr>`;
+         });
+     let content = `<table>${header.join('')}</table>`;
+     if (data === null) {
+         content += '<p class="invalid">The body of this block can\'t be decoded.</p>';
+     } else {
+         content += `<h2>Content</h2><p>${summarizeData(base, data)}</p>`;
+         if (data && data.star && typeof data.star === 'object') {
+             content += starTable(data.star);
+         }
+         if (data && data.type === 'batch' && Array.isArray(data.entries)) {
+             content += data.entries.map(entry => `<h3>Registered by ${ownerLink(base, entry.address)}</h3>${starTable(entry.star || {})}`).join('');
+         }
+         content += `<details><summary>Decoded body</summary><pre>${escapeHtml(JSON.stringify(data, null, 2))}</pre></details>`;
+     }
+     let links = [];
+     if (block.height > 0) {
+         links.push(`<a href="${base}/explorer/block/${block.height - 1}">Previous block</a>`);
+     }
+     if (block.height < height) {
+         links.push(`<a href="${base}/explorer/block/${block.height + 1}">Next block</a>`);
+     }
+     return layout(`Block ${block.height}`, base, `${content}<p>${links.join(' | ')}</p>`);
+ }
+
+ /**
+  * The stars currently owned by an address.
+  * @param {*} base
+  * @param {*} address
+  * @param {*} stars the result of `getStarsByWalletAddress(address)`
+  */
+ function owner(base, address, stars) {
+     let content = stars.length === 0 ? '<p>This address doesn\'t own any star.</p>' : stars.map(entry => `
+<h2>Star <code>${escapeHtml(entry.starHash)}</code>, registered in the <a href="${base}/explorer/block/${encodeURIComponent(entry.height)}">block ${escapeHtml(entry.height)}</a></h2>
+${starTable(entry.star)}`).join('');
+     return layout(`Stars of ${address}`, base, content);
+ }
+
+ /**
+  * Guided form to register a star: request the message, sign it with the wallet, submit the star.
+  * The form calls the REST endpoints of the registry from the browser.
+  * @param {*} base
+  */
+ function register(base) {
+     return layout('Register a star', base, `
+<form id="request">
+<h2>1. Request the message to sign</h2>
+<label for="address">Wallet address</label>
+<input id="address" name="address" required>
+<p><button type="submit">Request the message</button></p>
+</form>
+<form id="submit" hidden>
+<h2>2. Sign the message with your wallet</h2>
+<p>Sign this message with the key of the address, e.g. with <em>Sign/verify message</em> in Electrum or Bitcoin Core,
+or <code>personal_sign</code> for an Ethereum address. It can only be used for a few minutes.</p>
+<pre id="message"></pre>
+<label for="signature">Signature</label>
+<textarea id="signature" name="signature" rows="3" required></textarea>
+<h2>3. Describe the star</h2>
+<label for="ra">Right ascension (ra)</label><input id="ra" name="ra" placeholder="16h 29m 1.0s" required>
+<label for="dec">Declination (dec)</label><input id="dec" name="dec" placeholder="-26&deg; 29' 24.9" required>
+<label for="mag">Magnitude (optional)</label><input id="mag" name="mag">
+<label for="constellation">Constellation (optional)</label><input id="constellation" name="constellation">
+<label for="story">Story</label><textarea id="story" name="story" rows="3" required></textarea>
+<p><button type="submit">Register the star</button></p>
+</form>
+<p id="result"></p>
+<script>
+(function () {
+    var base = ${JSON.stringify(base).replace(/</g, '\\u003c')};
+    var message = null;
+    var result = document.getElementById("result");
+    function post(path, body) {
+        return fetch(base + path, {method: "POST", headers: {"Content-Type": "application/json"}, body: JSON.stringify(body)})
+            .then(function (res) {
+                return res.json().then(function (json) {
+                    if (!res.ok) {
+                        var details = (json.errors || []).map(function (error) { return "\\n" + error.field + ": " + error.message; }).join("");
+                        throw new Error(json.error + details);
+                    }
+                    return json;
+                });
+            });
+    }
+    function fail(error) {
+        result.className = "error";
+        result.textContent = error.message;
+    }
+    document.getElementById("request").addEventListener("submit", function (event) {
+        event.preventDefault();
+        post("/requestValidation", {address: document.getElementById("address").value.trim()}).then(function (answer) {
+            message = typeof answer === "string" ? answer : answer.message;
+            document.getElementById("message").textContent = message;
+            document.getElementById("submit").hidden = false;
+            result.textContent = "";
+        }).catch(fail);
+    });
+    document.getElementById("submit").addEventListener("submit", function (event) {
+        event.preventDefault();
+        var star = {};
+        ["ra", "dec", "mag", "constellation", "story"].forEach(function (field) {
+            var value = document.getElementById(field).value.trim();
+            if (value !== "") {
+                star[field] = field === "mag" && !isNaN(Number(value)) ? Number(value) : value;
+            }
+        });
+        post("/submitstar", {
+            address: document.getElementById("address").value.trim(),
+            message: message,
+            signature: document.getElementById("signature").value.trim(),
+            star: star
+        }).then(function (block) {
+            result.className = "valid";
+            result.innerHTML = "";
+            var link = document.createElement("a");
+            link.href = base + "/explorer/block/" + block.height;
+            link.textContent = "Star registered in the block " + block.height;
+            result.appendChild(link);
+        }).catch(fail);
+    });
+})();
+</script>`);
+ }
+
+ /**
+  * Error page.
+  * @param {*} base
+  * @param {*} status
+  * @param {*} message
+  */
+ function errorPage(base, status, message) {
+     return layout(`Error ${status}`, base, `<p class="error">${escapeHtml(message)}</p><p><a href="${base}/explorer">Back to the explorer</a></p>`);
+ }
+
+ module.exports.escapeHtml = escapeHtml;
+ module.exports.overview = overview;
+ module.exports.blockList = blockList;
+ module.exports.blockDetail = blockDetail;
+ module.exports.owner = owner;
+ module.exports.register = register;
+ module.exports.errorPage = errorPage;
@@ -0,0 +1,129 @@
+/**
+ *                          IntegrityMonitor class
+ *  Validates a Blockchain in the background so a tampered chain is noticed without waiting for
+ *  someone to open `/validate` or to submit a star. Every check runs `checkIntegrity()` (the whole chain
+ *  and its indexes, see `validateChain()`) and is kept in a short history served by `GET /health`.
+ *  With `readOnlyOnFailure` the chain is put in read-only mode (see `Blockchain.setReadOnly()`) as soon as
+ *  it is found invalid, and leaves it once a check finds it valid again (e.g. after a valid chain is imported).
+ */
+
+ // Number of checks kept in the history
+ const HISTORY_SIZE = 20;
+
+ class IntegrityMonitor {
+
+     /**
+      * @param {*} blockchain the Blockchain to validate
+      * @param {*} options `{interval, readOnlyOnFailure}`
+      * - `interval` milliseconds between two checks, 0 disables the scheduled checks
+      * - `readOnlyOnFailure` reject the new blocks while the chain is invalid
+      */
+     constructor(blockchain, options = {}) {
+         this.blockchain = blockchain;
+         this.interval = options.interval || 0;
+         this.readOnlyOnFailure = !!options.readOnlyOnFailure;
+         this.lastCheck = null;
+         this.history = [];
+         this.timer = null;
+         // Promise of the check being run, a single check runs at a time
+         this.running = null;
+         // The validations requested by the clients (e.g. `/validate`) can find the chain invalid first
+         this.blockchain.on('tampered', (report) => {
+             if (this.readOnlyOnFailure) {
+                 this.blockchain.setReadOnly(this._reason(report));
+             }
+         });
+         // A replaced chain (import, longer chain of a peer) is checked right away, also without scheduled checks
+         // when the read-only mode depends on it (a valid chain replacing a tampered one leaves the read-only mode)
+         this.blockchain.on('replaced', () => {
+             if (this.timer !== null || this.readOnlyOnFailure) {
+                 this.check().catch(() => {});
+             }
+         });
+     }
+
+     /**
+      * Check the chain now, then every `interval` milliseconds.
+      */
+     start() {
+         this.stop();
+         this.check().catch(() => {});
+         if (this.interval > 0) {
+             this.timer = setInterval(() => this.check().catch(() => {}), this.interval);
+             // The checks alone don't keep the process running
+             this.timer.unref();
+         }
+     }
+
+     stop() {
+         if (this.timer !== null) {
+             clearInterval(this.timer);
+             this.timer = null;
+         }
+     }
+
+     /**
+      * Validate the chain and record the result `{time, valid, height, checkedBlocks, firstInvalidHeight, errors, duration}`
+      * (`errors` is the number of errors of the report). Resolves with the result, a check that couldn't run
+      * is recorded with `valid: null` and its `error` message.
+      */
+     check() {
+         if (this.running === null) {
+             this.running = this._check().finally(() => this.running = null);
+         }
+         return this.running;
+     }
+
+     async _check() {
+         let startedAt = Date.now();
+         let result;
+         try {
+             let report = await this.blockchain.checkIntegrity();
+             result = {
+                 time: new Date(startedAt).toISOString(),
+                 valid: report.valid,
+                 height: report.height,
+                 checkedBlocks: report.checkedBlocks,
+                 firstInvalidHeight: report.firstInvalidHeight,
+                 errors: report.errors.length,
+                 duration: Date.now() - startedAt
+             };
+             if (this.readOnlyOnFailure) {
+                 this.blockchain.setReadOnly(report.valid ? null : this._reason(report));
+             }
+         } catch (error) {
+             console.error('The integrity check failed:', error.message);
+             result = {time: new Date(startedAt).toISOString(), valid: null, error: error.message, duration: Date.now() - startedAt};
+         }
+         this.lastCheck = result;
+         this.history.unshift(result);
+         this.history.length = Math.min(this.history.length, HISTORY_SIZE);
+         return result;
+     }
+
+     _reason(report) {
+         return `the chain is invalid from height ${report.firstInvalidHeight}`;
+     }
+
+     /**
+      * Return the integrity status of the chain:
+      * `{status, readOnly, interval, lastCheck, history}` where `status` is `starting` before the first check,
+      * `ok` when the last check found the chain valid, `tampered` when it found it invalid and `error` when it couldn't run.
+      */
+     getStatus() {
+         let status = 'starting';
+         if (this.lastCheck !== null) {
+             status = this.lastCheck.valid === null ? 'error' : (this.lastCheck.valid ? 'ok' : 'tampered');
+         }
+         return {
+             status: status,
+             readOnly: this.blockchain.readOnly,
+             interval: this.interval,
+             lastCheck: this.lastCheck,
+             history: this.history.slice()
+         };
+     }
+
+ }
+
+ module.exports.IntegrityMonitor = IntegrityMonitor;
@@ -0,0 +1,97 @@
+/**
+ *                          Merkle tree
+ *  A block holding several stars commits to them with the Merkle root of its entries,
+ *  so anyone can check a star is in the block with a short proof, without the block body.
+ *  - a leaf is the SHA256 of the JSON of an entry
+ *  - a parent is the SHA256 of the concatenation of its two children (hex strings)
+ *  - when a level has an odd number of nodes, the last node is paired with itself
+ *  - a tree can't hold the same leaf twice: as the last node is paired with itself, `[a, b, c]` and
+ *    `[a, b, c, c]` would have the same root (see `hasDuplicates`)
+ */
+ const SHA256 = require('crypto-js/sha256');
+
+ function hash(value) {
+     return SHA256(value).toString();
+ }
+
+ /**
+  * Return the leaf hash of an entry.
+  * @param {*} entry
+  */
+ function leafHash(entry) {
+     return hash(JSON.stringify(entry));
+ }
+
+ function parentLevel(level) {
+     let parents = [];
+     for (let i = 0; i < level.length; i += 2) {
+         let right = i + 1 < level.length ? level[i + 1] : level[i];
+         parents.push(hash(level[i] + right));
+     }
+     return parents;
+ }
+
+ /**
+  * Return true if a leaf hash appears twice in `leaves`.
+  * @param {*} leaves
+  */
+ function hasDuplicates(leaves) {
+     return new Set(leaves).size !== leaves.length;
+ }
+
+ /**
+  * Return the Merkle root of the leaf hashes, null when there is no leaf.
+  * @param {*} leaves
+  */
+ function merkleRoot(leaves) {
+     if (leaves.length === 0) {
+         return null;
+     }
+     let level = leaves;
+     while (level.length > 1) {
+         level = parentLevel(level);
+     }
+     return level[0];
+ }
+
+ /**
+  * Return the proof that the leaf at `index` is in the tree: the list of the sibling hashes
+  * from the leaf to the root, `[{position, hash}]` where `position` (`left` or `right`) is the
+  * side of the sibling.
+  * @param {*} leaves
+  * @param {*} index
+  */
+ function merkleProof(leaves, index) {
+     let proof = [];
+     let level = leaves;
+     while (level.length > 1) {
+         let siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+         proof.push({
+             position: index % 2 === 0 ? 'right' : 'left',
+             hash: siblingIndex < level.length ? level[siblingIndex] : level[index]
+         });
+         level = parentLevel(level);
+         index = Math.floor(index / 2);
+     }
+     return proof;
+ }
+
+ /**
+  * Check the proof of `leaf` against `root`.
+  * @param {*} leaf
+  * @param {*} proof as returned by `merkleProof`
+  * @param {*} root
+  */
+ function verifyProof(leaf, proof, root) {
+     let current = leaf;
+     proof.forEach(step => {
+         current = step.position === 'left' ? hash(step.hash + current) : hash(current + step.hash);
+     });
+     return current === root;
+ }
+
+ module.exports.leafHash = leafHash;
+ module.exports.hasDuplicates = hasDuplicates;
+ module.exports.merkleRoot = merkleRoot;
+ module.exports.merkleProof = merkleProof;
+ module.exports.verifyProof = verifyProof;
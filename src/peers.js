@@ -0,0 +1,263 @@
+/**
+ *                          PeerNetwork class
+ *  Replicates the chain between several nodes (instances of the application).
+ *  - A node knows a list of peers (base URL of the other nodes, e.g. `http://localhost:8001`).
+ *  - Every block added to the chain is announced to the peers (`POST /peers/blocks`).
+ *  - A node receiving a block that doesn't follow its tip, or a new peer, synchronizes:
+ *    it downloads the missing blocks, or the whole chain when the chains forked, and keeps
+ *    the longest chain that passes the validation (see `Blockchain.replaceChain`).
+ *  It only uses the REST API of the peers (`/chain/info`, `/block/height/:height`, `/blocks`).
+ *  Registering a peer (`POST /peers`) requires the admin token, the nodes of a network share it to announce themselves.
+ *  A peer that can't be reached is not added, and a peer is removed after `MAX_FAILURES` failed requests in a row.
+ */
+ const http = require('http');
+ const https = require('https');
+
+ // Time to wait for a peer to answer, in milliseconds
+ const REQUEST_TIMEOUT = 5000;
+ // Number of blocks requested per page when downloading a chain
+ const PAGE_SIZE = 100;
+ // Number of failed requests in a row after which a peer is removed
+ const MAX_FAILURES = 3;
+
+ class PeerNetwork {
+
+     /**
+      * @param {*} blockchain the Blockchain to replicate
+      * @param {*} options `{selfUrl, token}` the URL of this node, announced to the peers with the admin `token`
+      */
+     constructor(blockchain, options = {}) {
+         this.blockchain = blockchain;
+         this.selfUrl = options.selfUrl ? PeerNetwork.normalizeUrl(options.selfUrl) : null;
+         this.token = options.token || null;
+         this.peers = new Set();
+         // Number of failed requests in a row per peer
+         this.failures = new Map();
+         this.blockchain.on('block', (block) => this.broadcastBlock(block));
+     }
+
+     static normalizeUrl(url) {
+         let parsed = new URL(url);
+         if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+             throw new Error(`Invalid peer URL ${url}, use http or https`);
+         }
+         return parsed.toString().replace(/\/+$/, '');
+     }
+
+     /**
+      * Return the list of the peers.
+      */
+     getPeers() {
+         return Array.from(this.peers);
+     }
+
+     /**
+      * Add a peer, announce this node to it and synchronize with it.
+      * Resolves with true if the peer is new, rejects if the peer doesn't answer (it isn't added).
+      * @param {*} url base URL of the peer
+      */
+     addPeer(url) {
+         let self = this;
+         return new Promise(async (resolve, reject) => {
+             let peer;
+             try {
+                 peer = PeerNetwork.normalizeUrl(url);
+             } catch (error) {
+                 return reject(error);
+             }
+             if (peer === self.selfUrl || self.peers.has(peer)) {
+                 return resolve(false);
+             }
+             try {
+                 await self._request('GET', `${peer}/chain/info`);
+             } catch (error) {
+                 return reject(new Error(`The peer ${peer} can't be reached: ${error.message}`));
+             }
+             self.peers.add(peer);
+             console.log(`Peer added: ${peer}`);
+             try {
+                 if (self.selfUrl) {
+                     let headers = self.token ? {'Authorization': `Bearer ${self.token}`} : {};
+                     await self._peerRequest(peer, 'POST', '/peers', {url: self.selfUrl}, headers);
+                 }
+                 await self.syncWithPeer(peer);
+             } catch (error) {
+                 console.log(`Unable to synchronize with the peer ${peer}: ${error.message}`);
+             }
+             resolve(true);
+         });
+     }
+
+     /**
+      * Send the block to every peer, the peers that don't answer are skipped.
+      * @param {*} block
+      */
+     broadcastBlock(block) {
+         let self = this;
+         return Promise.all(self.getPeers().map(peer => {
+             return self._peerRequest(peer, 'POST', '/peers/blocks', {block: block}).catch(error => {
+                 console.log(`Unable to send the block ${block.height} to the peer ${peer}: ${error.message}`);
+             });
+         }));
+     }
+
+     /**
+      * Handle a block announced by a peer: append it if it is the next block of the chain,
+      * synchronize with the peers if the peer is ahead or on another fork.
+      * Resolves with `appended`, `ignored` (the chain already has a block at that height) or `synchronized`.
+      * @param {*} block
+      */
+     receiveBlock(block) {
+         let self = this;
+         return new Promise(async (resolve, reject) => {
+             try {
+                 let added = await self.blockchain.addExternalBlock(block);
+                 resolve(added ? 'appended' : 'ignored');
+             } catch (error) {
+                 if (error.status !== 409) {
+                     return reject(error);
+                 }
+                 // The block doesn't follow our tip, some blocks are missing or the chains forked
+                 await self.resolveConflicts();
+                 resolve('synchronized');
+             }
+         });
+     }
+
+     /**
+      * Synchronize with every peer, the longest valid chain wins.
+      * Resolves with the height of the chain once done.
+      */
+     async resolveConflicts() {
+         for (const peer of this.getPeers()) {
+             try {
+                 await this.syncWithPeer(peer);
+             } catch (error) {
+                 console.log(`Unable to synchronize with the peer ${peer}: ${error.message}`);
+             }
+         }
+         return this.blockchain.height;
+     }
+
+     /**
+      * Download the blocks of the peer if its chain is longer. When the peer has our tip only the
+      * missing blocks are downloaded and appended, otherwise the whole chain is downloaded and
+      * replaces ours if it is valid. Resolves with true if the chain changed.
+      * @param {*} peer base URL of the peer
+      */
+     async syncWithPeer(peer) {
+         let info = await this._peerRequest(peer, 'GET', '/chain/info');
+         if (!info || info.height <= this.blockchain.height) {
+             return false;
+         }
+         let tip = await this.blockchain.getLatestBlock();
+         let peerBlock = await this._peerRequest(peer, 'GET', `/block/height/${tip.height}`);
+         if (peerBlock && peerBlock.hash === tip.hash) {
+             let blocks = await this._fetchBlocks(peer, tip.height + 1, info.height);
+             for (const block of blocks) {
+                 await this.blockchain.addExternalBlock(block);
+             }
+         } else {
+             let blocks = await this._fetchBlocks(peer, 0, info.height);
+             await this.blockchain.replaceChain(blocks);
+             console.log(`Chain replaced by the chain of ${peer}, height ${this.blockchain.height}`);
+         }
+         return true;
+     }
+
+     /**
+      * Download the blocks of the peer between the heights `from` and `to`.
+      * @param {*} peer
+      * @param {*} from
+      * @param {*} to
+      */
+     async _fetchBlocks(peer, from, to) {
+         let blocks = [];
+         let next = from;
+         while (next !== null && next <= to) {
+             let page = await this._peerRequest(peer, 'GET', `/blocks?from=${next}&to=${to}&limit=${PAGE_SIZE}`);
+             page.blocks.forEach(block => {
+                 // `data` is the decoded body added by `/blocks`, it isn't part of the block
+                 delete block.data;
+                 blocks.push(block);
+             });
+             next = page.next;
+         }
+         return blocks;
+     }
+
+     /**
+      * Send a JSON request to the path of a peer (see `_request`). The peer is removed after `MAX_FAILURES`
+      * requests in a row without answer or answered with a server error.
+      * @param {*} peer
+      * @param {*} method
+      * @param {*} path
+      * @param {*} body
+      * @param {*} headers
+      */
+     async _peerRequest(peer, method, path, body, headers) {
+         try {
+             let answer = await this._request(method, `${peer}${path}`, body, headers);
+             this.failures.delete(peer);
+             return answer;
+         } catch (error) {
+             if (error.status === undefined || error.status >= 500) {
+                 let failures = (this.failures.get(peer) || 0) + 1;
+                 this.failures.set(peer, failures);
+                 if (failures >= MAX_FAILURES && this.peers.delete(peer)) {
+                     this.failures.delete(peer);
+                     console.log(`Peer removed after ${failures} failed requests: ${peer}`);
+                 }
+             }
+             throw error;
+         }
+     }
+
+     /**
+      * Send a JSON request to a peer. Resolves with the JSON answer, with null for a 404,
+      * or rejects when the peer doesn't answer or answers with an error (its `status` is the status of the answer).
+      * @param {*} method
+      * @param {*} url
+      * @param {*} body
+      * @param {*} headers
+      */
+     _request(method, url, body, headers = {}) {
+         return new Promise((resolve, reject) => {
+             let payload = body === undefined ? null : JSON.stringify(body);
+             let client = url.startsWith('https:') ? https : http;
+             let request = client.request(url, {
+                 method: method,
+                 timeout: REQUEST_TIMEOUT,
+                 headers: payload === null ? headers : Object.assign({'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload)}, headers)
+             }, (response) => {
+                 let content = '';
+                 response.setEncoding('utf8');
+                 response.on('data', chunk => content += chunk);
+                 response.on('end', () => {
+                     if (response.statusCode === 404) {
+                         return resolve(null);
+                     }
+                     if (response.statusCode >= 400) {
+                         let error = new Error(`${method} ${url} answered ${response.statusCode}: ${content}`);
+                         error.status = response.statusCode;
+                         return reject(error);
+                     }
+                     try {
+                         resolve(content === '' ? null : JSON.parse(content));
+                     } catch (error) {
+                         reject(new Error(`${method} ${url} didn't answer JSON`));
+                     }
+                 });
+             });
+             request.on('timeout', () => request.destroy(new Error(`${method} ${url} timed out`)));
+             request.on('error', reject);
+             if (payload !== null) {
+                 request.write(payload);
+             }
+             request.end();
+         });
+     }
+
+ }
+
+ module.exports.PeerNetwork = PeerNetwork;
@@ -0,0 +1,198 @@
+/**
+ *                          RateLimiter class
+ *  Throttles the requests changing the chain so a single client can't flood the node with messages to sign
+ *  or fill the chain with blocks. Three limits, each one disabled when it is 0:
+ *  - `ipLimit` requests per window from the same IP address
+ *  - `addressLimit` requests per window for the same wallet address (the `address` of the request body,
+ *    each address of the `stars` of a `/submitstars` body)
+ *  - `starsPerDay` stars registered by the same wallet address in 24 hours
+ *  The requests refused because their message or signature doesn't check (`401`) aren't counted against the wallet
+ *  address, and the stars of a failed registration are given back, so nobody can use up the quota of someone else's address.
+ *  A request over a limit is answered `429 rate-limited` with a `Retry-After` header (see `Errors.RateLimitError`).
+ *  The counters are kept in a store, in memory by default. Another store (e.g. shared by several processes)
+ *  only needs the two async methods of `MemoryStore`.
+ */
+ const Errors = require('./errors.js');
+
+ const DAY = 24 * 3600 * 1000;
+ // The expired counters of the memory store are removed at this interval (ms)
+ const SWEEP_INTERVAL = 60000;
+
+ /**
+  * Fixed window counters kept in memory.
+  */
+ class MemoryStore {
+
+     constructor() {
+         this.counters = new Map();
+         this.sweeper = setInterval(() => this._sweep(), SWEEP_INTERVAL);
+         // The sweeper alone doesn't keep the process running
+         this.sweeper.unref();
+     }
+
+     /**
+      * Add `amount` to the counter `key` (a negative amount gives back), a new counter is started when there is none
+      * or when its window is over.
+      * Resolves with the counter `{count, resetAt}` (`resetAt` is the end of the window in ms).
+      * @param {*} key
+      * @param {*} windowMs length of the window of a new counter
+      * @param {*} amount
+      */
+     async increment(key, windowMs, amount = 1) {
+         let now = Date.now();
+         let counter = this.counters.get(key);
+         if (!counter || counter.resetAt <= now) {
+             counter = {count: 0, resetAt: now + windowMs};
+             this.counters.set(key, counter);
+         }
+         counter.count = Math.max(counter.count + amount, 0);
+         return {count: counter.count, resetAt: counter.resetAt};
+     }
+
+     /**
+      * Resolves with the counter `key`, `{count: 0, resetAt: null}` when there is none.
+      * @param {*} key
+      */
+     async get(key) {
+         let counter = this.counters.get(key);
+         if (!counter || counter.resetAt <= Date.now()) {
+             return {count: 0, resetAt: null};
+         }
+         return {count: counter.count, resetAt: counter.resetAt};
+     }
+
+     _sweep() {
+         let now = Date.now();
+         this.counters.forEach((counter, key) => {
+             if (counter.resetAt <= now) {
+                 this.counters.delete(key);
+             }
+         });
+     }
+
+ }
+
+ class RateLimiter {
+
+     /**
+      * @param {*} options `{store, windowMs, ipLimit, addressLimit, starsPerDay}`, the limits are disabled by default
+      * and the window is one minute
+      */
+     constructor(options = {}) {
+         this.store = options.store || new MemoryStore();
+         this.windowMs = options.windowMs || 60000;
+         this.ipLimit = options.ipLimit || 0;
+         this.addressLimit = options.addressLimit || 0;
+         this.starsPerDay = options.starsPerDay || 0;
+     }
+
+     /**
+      * Return an express middleware counting the request against the limits of its IP address and of the
+      * wallet address of its body. The request is no longer counted against the wallet address if it is refused
+      * because its message or its signature doesn't check.
+      * @param {*} scope name of the counters (e.g. the registry), the limits of two scopes are independent
+      */
+     limitRequests(scope) {
+         return async (req, res, next) => {
+             try {
+                 if (this.ipLimit > 0) {
+                     await this._count(`${scope}:ip:${req.ip}`, this.windowMs, this.ipLimit, `Too many requests from ${req.ip}`);
+                 }
+                 if (this.addressLimit > 0) {
+                     let addresses = Array.from(new Set(starAddresses(req.body)));
+                     for (const address of addresses) {
+                         await this._count(`${scope}:address:${address}`, this.windowMs, this.addressLimit, `Too many requests for the address ${address}`);
+                     }
+                     onResponse(res, (status) => {
+                         if (status === 401) {
+                             addresses.forEach(address => {
+                                 this.store.increment(`${scope}:address:${address}`, this.windowMs, -1).catch(error => console.error('Unable to uncount the request:', error.message));
+                             });
+                         }
+                     });
+                 }
+                 next();
+             } catch (error) {
+                 return Errors.sendError(res, error);
+             }
+         };
+     }
+
+     /**
+      * Return an express middleware rejecting the star registrations (`/submitstar`, `/submitstars`) of wallet
+      * addresses that reached their daily quota. The stars are reserved before the request is handled, so concurrent
+      * requests can't exceed the quota, and given back when the request fails (also when the client disconnected).
+      * @param {*} scope
+      */
+     limitStars(scope) {
+         return async (req, res, next) => {
+             if (this.starsPerDay === 0) {
+                 return next();
+             }
+             let reserved = new Map();
+             let release = () => Promise.all(Array.from(reserved).map(([address, count]) => {
+                 return this.store.increment(`${scope}:stars:${address}`, DAY, -count).catch(error => console.error('Unable to give the stars back:', error.message));
+             }));
+             try {
+                 let stars = new Map();
+                 starAddresses(req.body).forEach(address => stars.set(address, (stars.get(address) || 0) + 1));
+                 for (const [address, count] of stars) {
+                     // The increment is atomic, the stars over the quota are given back right away
+                     let counter = await this.store.increment(`${scope}:stars:${address}`, DAY, count);
+                     reserved.set(address, count);
+                     if (counter.count > this.starsPerDay) {
+                         throw new Errors.RateLimitError(`The address ${address} can register ${this.starsPerDay} stars per day, ${Math.max(this.starsPerDay - counter.count + count, 0)} left`,
+                             retryAfter(counter.resetAt));
+                     }
+                 }
+                 onResponse(res, (status) => {
+                     if (status >= 400) {
+                         release();
+                     }
+                 });
+                 next();
+             } catch (error) {
+                 await release();
+                 return Errors.sendError(res, error);
+             }
+         };
+     }
+
+     async _count(key, windowMs, limit, message) {
+         let counter = await this.store.increment(key, windowMs);
+         if (counter.count > limit) {
+             throw new Errors.RateLimitError(`${message}, at most ${limit} per ${Math.round(windowMs / 1000)} seconds`, retryAfter(counter.resetAt));
+         }
+     }
+
+ }
+
+ // Call `callback(status)` once the request is answered. The `finish` event isn't emitted for a client that
+ // disconnected before the answer, nor is `close` the end of the handling, but `end()` is always called by the handler
+ function onResponse(res, callback) {
+     let end = res.end;
+     res.end = function () {
+         res.end = end;
+         callback(res.statusCode);
+         return end.apply(this, arguments);
+     };
+ }
+
+ // Seconds until `resetAt`, at least 1
+ function retryAfter(resetAt) {
+     return Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+ }
+
+ // The wallet addresses registering a star in the body of `/submitstar` or `/submitstars`, once per star
+ function starAddresses(body) {
+     if (!body) {
+         return [];
+     }
+     if (Array.isArray(body.stars)) {
+         return body.stars.filter(entry => entry && typeof entry.address === 'string').map(entry => entry.address);
+     }
+     return typeof body.address === 'string' ? [body.address] : [];
+ }
+
+ module.exports.MemoryStore = MemoryStore;
+ module.exports.RateLimiter = RateLimiter;
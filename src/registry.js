@@ -0,0 +1,172 @@
+/**
+ *                          ChainRegistry class
+ *  Runs several independent star registries in one process. Each registry has a name
+ *  (e.g. `stars`, `testnet-stars`) and its own Blockchain: its own Genesis Block, storage file,
+ *  validity window of the messages, proof-of-work difficulty and validation.
+ *  The application serves a registry under `/chains/:name/...` with the same endpoints as the root,
+ *  the routes of a registry are built by the `createRouter(registry)` function given to the constructor.
+ *  The configuration of the registries is saved in a JSON file so they are created again at startup.
+ */
+ const fs = require('fs');
+ const path = require('path');
+ const BlockChain = require('./blockchain.js');
+ const Storage = require('./storage.js');
+ const Errors = require('./errors.js');
+ const BlockClass = require('./block.js');
+
+ const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+ class ChainRegistry {
+
+     /**
+      * @param {*} options `{configFile, dataDir, createRouter}`
+      * - `configFile` JSON file where the configuration of the registries is saved
+      * - `dataDir` directory of the chain files of the registries created without `storagePath`
+      * - `createRouter(registry)` returns the express router serving a registry
+      */
+     constructor(options) {
+         this.configFile = options.configFile;
+         this.dataDir = options.dataDir;
+         this.createRouter = options.createRouter;
+         this.registries = new Map();
+         // Names of the registries being created
+         this.creating = new Set();
+         // Configurations of the saved registries whose chain couldn't be loaded, kept in the configuration file
+         this.failed = new Map();
+     }
+
+     /**
+      * Create the registries saved in the configuration file. Resolves once their chains are
+      * loaded and validated, a registry whose chain is invalid or unreadable is logged and skipped.
+      */
+     async load() {
+         let configs;
+         try {
+             configs = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+         } catch (error) {
+             if (error.code === 'ENOENT') {
+                 return [];
+             }
+             throw new Error(`Unable to read the registries configuration ${this.configFile}: ${error.message}`);
+         }
+         for (const config of configs) {
+             try {
+                 await this._open(config);
+             } catch (error) {
+                 console.error(`Unable to load the registry ${config.name}, skipped: ${error.message}`);
+                 this.failed.set(config.name, config);
+             }
+         }
+         return this.list();
+     }
+
+     /**
+      * Add a registry whose Blockchain is already created, like the registry served at the root.
+      * It isn't saved in the configuration file unless `saved` is true.
+      * @param {*} name
+      * @param {*} blockchain
+      * @param {*} config
+      * @param {*} saved
+      */
+     attach(name, blockchain, config = {}, saved = false) {
+         let registry = {name: name, config: Object.assign({name: name}, config), blockchain: blockchain, saved: saved};
+         registry.router = this.createRouter(registry);
+         this.registries.set(name, registry);
+         return registry;
+     }
+
+     /**
+      * Return the registry named `name`, or undefined.
+      * @param {*} name
+      */
+     get(name) {
+         return this.registries.get(name);
+     }
+
+     /**
+      * Return the configuration and the height of every registry.
+      */
+     list() {
+         return Array.from(this.registries.values()).map(registry => Object.assign({}, registry.config, {height: registry.blockchain.height}));
+     }
+
+     /**
+      * Create a registry and save its configuration. Resolves with the registry once its Genesis Block is created.
+      * Rejects with a `ValidationError` when the configuration is invalid or a `ConflictError` when the name
+      * or the storage path is already used.
+      * @param {*} config `{name, validityWindow, difficulty, storagePath}` the storage path is
+      * `<dataDir>/<name>.ndjson` by default, the validity window 300 seconds and the difficulty 0
+      */
+     async create(config = {}) {
+         let errors = [];
+         if (typeof config.name !== 'string' || !NAME_PATTERN.test(config.name)) {
+             errors.push({field: 'name', message: 'name should be 1 to 32 lowercase letters, digits or dashes'});
+         }
+         if (config.validityWindow !== undefined && (!Number.isInteger(config.validityWindow) || config.validityWindow < 1)) {
+             errors.push({field: 'validityWindow', message: 'validityWindow should be a positive number of seconds'});
+         }
+         if (config.difficulty !== undefined && (!Number.isInteger(config.difficulty) || config.difficulty < 0 || config.difficulty > BlockClass.MAX_DIFFICULTY)) {
+             errors.push({field: 'difficulty', message: `difficulty should be a number of leading zeros between 0 and ${BlockClass.MAX_DIFFICULTY}`});
+         }
+         if (config.storagePath !== undefined && (typeof config.storagePath !== 'string' || config.storagePath.trim() === '')) {
+             errors.push({field: 'storagePath', message: 'storagePath should be a file path'});
+         }
+         if (errors.length > 0) {
+             throw new Errors.ValidationError('Invalid registry configuration', errors);
+         }
+         if (this.registries.has(config.name) || this.creating.has(config.name) || this.failed.has(config.name)) {
+             throw new Errors.ConflictError(`The registry ${config.name} already exists`);
+         }
+         let storagePath = path.resolve(config.storagePath || path.join(this.dataDir, `${config.name}.ndjson`));
+         if (this.list().concat(Array.from(this.failed.values())).some(existing => existing.storagePath === storagePath)) {
+             throw new Errors.ConflictError(`The storage path ${storagePath} is already used by another registry`);
+         }
+         this.creating.add(config.name);
+         try {
+             let registry = await this._open({
+                 name: config.name,
+                 validityWindow: config.validityWindow || 300,
+                 difficulty: config.difficulty || 0,
+                 storagePath: storagePath,
+                 createdAt: new Date().toISOString()
+             });
+             this._save();
+             return registry;
+         } finally {
+             this.creating.delete(config.name);
+         }
+     }
+
+     /**
+      * Create the Blockchain of a registry and wait for it to be ready.
+      * @param {*} config
+      */
+     async _open(config) {
+         let blockchain = new BlockChain.Blockchain({
+             name: config.name,
+             storage: new Storage.FileStorage(config.storagePath),
+             difficulty: config.difficulty,
+             validityWindow: config.validityWindow
+         });
+         try {
+             await blockchain.ready();
+         } catch (error) {
+             error.message = `The chain of the registry ${config.name} is invalid: ${error.message}`;
+             throw error;
+         }
+         console.log(`Registry ${config.name} ready, height ${blockchain.height}`);
+         return this.attach(config.name, blockchain, config, true);
+     }
+
+     _save() {
+         let configs = Array.from(this.registries.values()).filter(registry => registry.saved).map(registry => registry.config)
+             .concat(Array.from(this.failed.values()));
+         fs.mkdirSync(path.dirname(this.configFile), {recursive: true});
+         let tempPath = `${this.configFile}.${process.pid}.tmp`;
+         fs.writeFileSync(tempPath, JSON.stringify(configs, null, 2));
+         fs.renameSync(tempPath, this.configFile);
+     }
+
+ }
+
+ module.exports.ChainRegistry = ChainRegistry;
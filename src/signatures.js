@@ -0,0 +1,136 @@
+/**
+ *                          Signed messages
+ *  Verify that a message was signed by the key of a wallet address. The scheme depends on the address:
+ *  - `p2pkh` legacy Bitcoin addresses (`1...`, testnet `m...`/`n...`)
+ *  - `p2sh-p2wpkh` SegWit addresses nested in P2SH (`3...`, testnet `2...`)
+ *  - `p2wpkh` native SegWit bech32 addresses (`bc1q...`, testnet `tb1q...`)
+ *    the three Bitcoin schemes use the Bitcoin signed message format (base64 signature), the header
+ *    byte of the signature may be the one of any of them (Bitcoin Core, Electrum, BIP137 wallets)
+ *  - `ethereum` Ethereum addresses (`0x...`) with a `personal_sign` signature (0x prefixed hex string)
+ *  The verification throws a `SignatureError` explaining why the signature isn't accepted.
+ */
+ const bitcoin = require('bitcoinjs-lib');
+ const bitcoinMessage = require('bitcoinjs-message');
+ const secp256k1 = require('secp256k1');
+ const { keccak256 } = require('js-sha3');
+ const Errors = require('./errors.js');
+
+ const P2PKH_VERSIONS = [bitcoin.networks.bitcoin.pubKeyHash, bitcoin.networks.testnet.pubKeyHash];
+ const P2SH_VERSIONS = [bitcoin.networks.bitcoin.scriptHash, bitcoin.networks.testnet.scriptHash];
+
+ /**
+  * Return the signature scheme of a wallet address and the hash its key must match,
+  * throws a `SignatureError` when the address isn't supported.
+  * @param {*} address
+  */
+ function parseAddress(address) {
+     if (typeof address !== 'string') {
+         throw new Errors.SignatureError('The address should be a string');
+     }
+     if (/^0x[0-9a-fA-F]{40}$/.test(address)) {
+         return {scheme: 'ethereum', hash: Buffer.from(address.slice(2), 'hex')};
+     }
+     if (/^(bc|tb|bcrt)1/i.test(address)) {
+         let decoded;
+         try {
+             decoded = bitcoin.address.fromBech32(address);
+         } catch (error) {
+             throw new Errors.SignatureError(`The bech32 address ${address} is invalid: ${error.message}`);
+         }
+         if (decoded.version !== 0 || decoded.data.length !== 20) {
+             throw new Errors.SignatureError(`The address ${address} is a script or Taproot address, only single key SegWit addresses (bc1q..., P2WPKH) can sign messages`);
+         }
+         return {scheme: 'p2wpkh', hash: decoded.data};
+     }
+     let decoded;
+     try {
+         decoded = bitcoin.address.fromBase58Check(address);
+     } catch (error) {
+         throw new Errors.SignatureError(`Unsupported address ${address}: use a legacy (1...), P2SH-SegWit (3...), bech32 (bc1q...) or Ethereum (0x...) address`);
+     }
+     if (P2PKH_VERSIONS.includes(decoded.version)) {
+         return {scheme: 'p2pkh', hash: decoded.hash};
+     }
+     if (P2SH_VERSIONS.includes(decoded.version)) {
+         return {scheme: 'p2sh-p2wpkh', hash: decoded.hash};
+     }
+     throw new Errors.SignatureError(`Unsupported address ${address}: unknown version byte ${decoded.version}`);
+ }
+
+ /**
+  * Check that `signature` is the signature of `message` by the key of `address`.
+  * Returns the signature scheme used (see above), throws a `SignatureError` otherwise.
+  * @param {*} message
+  * @param {*} address
+  * @param {*} signature
+  */
+ function verify(message, address, signature) {
+     let parsed = parseAddress(address);
+     if (typeof signature !== 'string' || signature === '') {
+         throw new Errors.SignatureError('The signature should be a string');
+     }
+     if (parsed.scheme === 'ethereum') {
+         verifyEthereum(message, address, parsed.hash, signature);
+     } else {
+         verifyBitcoin(message, address, parsed, signature);
+     }
+     return parsed.scheme;
+ }
+
+ function verifyBitcoin(message, address, parsed, signature) {
+     let buffer = Buffer.from(signature, 'base64');
+     if (buffer.length !== 65) {
+         throw new Errors.SignatureError(`The signature should be a base64 Bitcoin signed message of 65 bytes, got ${buffer.length} bytes`);
+     }
+     // Header byte: 27-30 uncompressed key, 31-34 compressed, 35-38 P2SH-SegWit, 39-42 bech32 (BIP137)
+     let flag = buffer.readUInt8(0) - 27;
+     if (flag < 0 || flag > 15) {
+         throw new Errors.SignatureError(`The signature header byte ${flag + 27} is invalid`);
+     }
+     let compressed = flag >= 4;
+     let publicKey;
+     try {
+         publicKey = secp256k1.recover(bitcoinMessage.magicHash(message), buffer.slice(1), flag & 3, compressed);
+     } catch (error) {
+         throw new Errors.SignatureError(`The public key can't be recovered from the signature: ${error.message}`);
+     }
+     let keyHash = bitcoin.crypto.hash160(publicKey);
+     let expected = keyHash;
+     if (parsed.scheme !== 'p2pkh' && !compressed) {
+         throw new Errors.SignatureError(`The signature was made with an uncompressed key, SegWit addresses like ${address} only use compressed keys`);
+     }
+     if (parsed.scheme === 'p2sh-p2wpkh') {
+         // The P2SH script is the P2WPKH program `0 <hash160(key)>`
+         expected = bitcoin.crypto.hash160(Buffer.concat([Buffer.from([0x00, 0x14]), keyHash]));
+     }
+     if (!expected.equals(parsed.hash)) {
+         throw new Errors.SignatureError(`The signature doesn't match the address ${address}: it was made by another key or for another message`);
+     }
+ }
+
+ function verifyEthereum(message, address, hash, signature) {
+     if (!/^0x[0-9a-fA-F]{130}$/.test(signature)) {
+         throw new Errors.SignatureError('An Ethereum signature should be the 0x prefixed hex string of 65 bytes returned by personal_sign');
+     }
+     let buffer = Buffer.from(signature.slice(2), 'hex');
+     let recovery = buffer.readUInt8(64);
+     recovery = recovery >= 27 ? recovery - 27 : recovery;
+     if (recovery > 1) {
+         throw new Errors.SignatureError(`The recovery id ${buffer.readUInt8(64)} of the signature is invalid, it should be 27 or 28`);
+     }
+     let data = Buffer.from(message, 'utf8');
+     let digest = Buffer.from(keccak256.arrayBuffer(Buffer.concat([Buffer.from(`\x19Ethereum Signed Message:\n${data.length}`, 'utf8'), data])));
+     let publicKey;
+     try {
+         publicKey = secp256k1.recover(digest, buffer.slice(0, 64), recovery, false);
+     } catch (error) {
+         throw new Errors.SignatureError(`The public key can't be recovered from the signature: ${error.message}`);
+     }
+     let recovered = Buffer.from(keccak256.arrayBuffer(publicKey.slice(1))).slice(-20);
+     if (!recovered.equals(hash)) {
+         throw new Errors.SignatureError(`The signature doesn't match the address ${address}: it was signed by 0x${recovered.toString('hex')}`);
+     }
+ }
+
+ module.exports.parseAddress = parseAddress;
+ module.exports.verify = verify;
@@ -0,0 +1,93 @@
+/**
+ *                          Star schema
+ *  Describes the `star` object submitted with `/submitstar`:
+ *  ```json
+ *      "star": {
+ *          "dec": "68° 52' 56.9",
+ *          "ra": "16h 29m 1.0s",
+ *          "story": "Testing the story 4",
+ *          "mag": 4.2,
+ *          "cen": "...",
+ *          "constellation": "Draco"
+ *      }
+ *  ```
+ *  `ra`, `dec` and `story` are required, the other fields are optional and no other field is accepted.
+ */
+ const Coordinates = require('./coordinates.js');
+
+ const MAX_COORDINATE_LENGTH = 32;
+ const MAX_STORY_LENGTH = 500;
+ const MAX_NAME_LENGTH = 64;
+
+ // Limits of the coordinates, in seconds (see `Coordinates.parseSexagesimal`)
+ const MAX_RA_SECONDS = 24 * 3600;
+ const MAX_DEC_SECONDS = 90 * 3600;
+
+ function checkString(errors, star, field, maxLength, required) {
+     let value = star[field];
+     if (value === undefined) {
+         if (required) {
+             errors.push({field: field, message: `${field} is required`});
+         }
+         return false;
+     }
+     if (typeof value !== 'string' || value.trim() === '') {
+         errors.push({field: field, message: `${field} should be a non empty string`});
+         return false;
+     }
+     // Count characters, not UTF-16 code units, so stories in any language get the same limit
+     if (Array.from(value).length > maxLength) {
+         errors.push({field: field, message: `${field} should be at most ${maxLength} characters long`});
+         return false;
+     }
+     return true;
+ }
+
+ /**
+  * Validate a star against the schema, returns the list of errors `[{field, message}]`
+  * (empty when the star is valid).
+  * @param {*} star
+  */
+ function validateStar(star) {
+     if (star === null || typeof star !== 'object' || Array.isArray(star)) {
+         return [{field: 'star', message: 'star should be an object with ra, dec and story'}];
+     }
+     let errors = [];
+     if (checkString(errors, star, 'ra', MAX_COORDINATE_LENGTH, true)) {
+         let seconds = Coordinates.parseSexagesimal(star.ra);
+         if (seconds === null || seconds < 0 || seconds >= MAX_RA_SECONDS) {
+             errors.push({field: 'ra', message: 'ra should be a right ascension between 0h and 24h, e.g. 16h 29m 1.0s'});
+         }
+     }
+     if (checkString(errors, star, 'dec', MAX_COORDINATE_LENGTH, true)) {
+         let seconds = Coordinates.parseSexagesimal(star.dec);
+         if (seconds === null || Math.abs(seconds) > MAX_DEC_SECONDS) {
+             errors.push({field: 'dec', message: `dec should be a declination between -90° and 90°, e.g. 68° 52' 56.9`});
+         }
+     }
+     checkString(errors, star, 'story', MAX_STORY_LENGTH, true);
+     checkString(errors, star, 'cen', MAX_NAME_LENGTH, false);
+     checkString(errors, star, 'constellation', MAX_NAME_LENGTH, false);
+     if (star.mag !== undefined && (typeof star.mag !== 'number' || !Number.isFinite(star.mag))) {
+         errors.push({field: 'mag', message: 'mag should be a number'});
+     }
+     Object.keys(star).forEach(field => {
+         if (!['ra', 'dec', 'story', 'mag', 'cen', 'constellation'].includes(field)) {
+             errors.push({field: field, message: `${field} isn't a star field`});
+         }
+     });
+     return errors;
+ }
+
+ /**
+  * Validate the new story of a star (see `Blockchain.amendStar`), returns the list of errors like `validateStar`.
+  * @param {*} story
+  */
+ function validateStory(story) {
+     let errors = [];
+     checkString(errors, {story: story}, 'story', MAX_STORY_LENGTH, true);
+     return errors;
+ }
+
+ module.exports.validateStar = validateStar;
+ module.exports.validateStory = validateStory;
@@ -0,0 +1,153 @@
+/**
+ *                          Storage classes
+ *  The Blockchain class keeps the chain in memory (`this.chain`) for fast reads,
+ *  and writes every block it adds through to a storage object so the chain
+ *  survives a restart of the application.
+ *  A storage object only has to expose three methods, all returning a Promise:
+ *  - `load()` resolves with the array of stored blocks (plain objects) ordered by height.
+ *  - `put(block)` resolves once the block has been stored.
+ *  - `replace(blocks)` resolves once the stored chain has been replaced by `blocks` (used when
+ *    another node has a longer chain).
+ */
+ const fs = require('fs');
+ const path = require('path');
+
+ /**
+  * Keeps the blocks in an array. Nothing survives a restart, this is the
+  * default storage when the Blockchain class is created without options.
+  */
+ class MemoryStorage {
+
+     constructor() {
+         this.blocks = [];
+     }
+
+     load() {
+         return new Promise((resolve) => {
+             resolve(this.blocks.map(block => JSON.parse(block)));
+         });
+     }
+
+     put(block) {
+         return new Promise((resolve) => {
+             this.blocks.push(JSON.stringify(block));
+             resolve(block);
+         });
+     }
+
+     replace(blocks) {
+         return new Promise((resolve) => {
+             this.blocks = blocks.map(block => JSON.stringify(block));
+             resolve(blocks);
+         });
+     }
+
+ }
+
+ /**
+  * Stores the chain in a file on disk, one JSON encoded block per line (NDJSON).
+  * New blocks are appended to the end of the file so a block is never rewritten
+  * once it is stored, only `replace` rewrites the whole file.
+  * A last line that can't be read is a block whose writing was interrupted (e.g. by a crash), it is removed
+  * from the file when the chain is loaded. A line that can't be read anywhere else makes the loading fail.
+  * @param {*} filePath path of the file, the directory is created if needed
+  */
+ class FileStorage {
+
+     constructor(filePath) {
+         this.filePath = filePath;
+     }
+
+     load() {
+         let self = this;
+         return new Promise((resolve, reject) => {
+             fs.readFile(self.filePath, 'utf8', (error, content) => {
+                 if (error) {
+                     // Nothing has been stored yet
+                     if (error.code === 'ENOENT') {
+                         return resolve([]);
+                     }
+                     return reject(error);
+                 }
+                 let blocks = [];
+                 let lines = content.split('\n');
+                 let last = lines.length - 1;
+                 while (last >= 0 && lines[last].trim() === '') {
+                     last--;
+                 }
+                 for (let i = 0; i < lines.length; i++) {
+                     if (lines[i].trim() === '') {
+                         continue;
+                     }
+                     try {
+                         blocks.push(JSON.parse(lines[i]));
+                     } catch (parseError) {
+                         if (i !== last) {
+                             return reject(new Error(`Unable to read the block stored on line ${i + 1} of ${self.filePath}: ${parseError.message}`));
+                         }
+                         // Cut the partial block so the next block is appended on its own line
+                         let length = Buffer.byteLength(lines.slice(0, i).map(line => line + '\n').join(''), 'utf8');
+                         console.log(`The last line of ${self.filePath} is an incomplete block (${parseError.message}), it is removed`);
+                         return fs.truncate(self.filePath, length, (truncateError) => {
+                             if (truncateError) {
+                                 return reject(truncateError);
+                             }
+                             resolve(blocks);
+                         });
+                     }
+                 }
+                 resolve(blocks);
+             });
+         });
+     }
+
+     put(block) {
+         let self = this;
+         return new Promise((resolve, reject) => {
+             fs.mkdir(path.dirname(self.filePath), { recursive: true }, (mkdirError) => {
+                 if (mkdirError) {
+                     return reject(mkdirError);
+                 }
+                 fs.appendFile(self.filePath, JSON.stringify(block) + '\n', 'utf8', (error) => {
+                     if (error) {
+                         return reject(error);
+                     }
+                     resolve(block);
+                 });
+             });
+         });
+     }
+
+     /**
+      * The new chain is written to a temporary file that is then renamed over the chain file,
+      * so a crash while writing leaves the previous chain in place.
+      * @param {*} blocks 
+      */
+     replace(blocks) {
+         let self = this;
+         let tempPath = `${self.filePath}.${process.pid}.tmp`;
+         let content = blocks.map(block => JSON.stringify(block) + '\n').join('');
+         return new Promise((resolve, reject) => {
+             fs.mkdir(path.dirname(self.filePath), { recursive: true }, (mkdirError) => {
+                 if (mkdirError) {
+                     return reject(mkdirError);
+                 }
+                 fs.writeFile(tempPath, content, 'utf8', (writeError) => {
+                     if (writeError) {
+                         return reject(writeError);
+                     }
+                     fs.rename(tempPath, self.filePath, (error) => {
+                         if (error) {
+                             return reject(error);
+                         }
+                         resolve(blocks);
+                     });
+                 });
+             });
+         });
+     }
+
+ }
+
+ module.exports.MemoryStorage = MemoryStorage;
+ module.exports.FileStorage = FileStorage;